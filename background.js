@@ -0,0 +1,248 @@
+/**
+ * Text Humanization Chrome Extension - Background Service Worker
+ * 
+ * Features:
+ * - Context-menu entry named after the operation last chosen in the popup
+ * - Runs the shared HumanizePipeline for in-page rewrites
+ * - Streams progress to the content script preview
+ * 
+ * Depends on core.js (loaded with importScripts)
+ */
+
+importScripts('core.js');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONTEXT_MENU_ID = 'humanize-selection';
+
+// Keep in sync with MESSAGE_TYPES in content.js
+const MESSAGE_TYPES = {
+  CAPTURE: 'humanize:capture',
+  PROGRESS: 'humanize:progress',
+  RESULT: 'humanize:result',
+  ERROR: 'humanize:error',
+  CANCEL: 'humanize:cancel'
+};
+
+// Minimum delay between streamed preview updates (milliseconds)
+const PROGRESS_INTERVAL = 100;
+
+// ============================================================================
+// SELECTION JOB MODULE
+// ============================================================================
+
+class SelectionJobRunner {
+  constructor() {
+    this.stateManager = new StateManager();
+    this.jobs = new Map();
+  }
+  
+  /**
+   * Rewrite the selection in a tab with the popup's operation and stream the result to its preview
+   * @param {number} tabId - Tab with the selection
+   * @param {number} frameId - Frame the context menu was opened in
+   * @param {string} [fallbackText] - Selection text reported by the context menu
+   */
+  async start(tabId, frameId, fallbackText = '') {
+    this.cancel(tabId);
+    
+    const send = (message) => chrome.tabs.sendMessage(tabId, message, { frameId }).catch(() => {});
+    
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: [frameId] },
+        files: ['content.js']
+      });
+    } catch (error) {
+      // Restricted pages (chrome://, the Web Store...) cannot be scripted
+      console.warn('Cannot inject content script:', error);
+      return;
+    }
+    
+    const [settings, state, presets, voiceProfiles] = await Promise.all([
+      this.stateManager.loadSettings(),
+      this.stateManager.load(),
+      this.stateManager.loadPresets(),
+      this.stateManager.loadVoiceProfiles()
+    ]);
+    const options = this.getOptions(state, settings, presets, voiceProfiles);
+    
+    let text = fallbackText;
+    try {
+      const captured = await chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.CAPTURE, title: menuTitle(options.operation) }, { frameId });
+      text = captured?.text || fallbackText;
+    } catch (error) {
+      console.warn('Selection capture failed, using context menu text:', error);
+    }
+    
+    const validation = TextUtils.validateInput(text);
+    if (!validation.valid) {
+      send({ type: MESSAGE_TYPES.ERROR, message: validation.error });
+      return;
+    }
+    
+    const llmClient = new LLMClient(settings);
+    const pipeline = new HumanizePipeline(llmClient, new PIIMasker());
+    this.jobs.set(tabId, llmClient);
+    
+    let lastUpdate = 0;
+    
+    try {
+      const outcome = await pipeline.run(text, options, {
+        onToken: (partial) => {
+          const now = Date.now();
+          if (now - lastUpdate < PROGRESS_INTERVAL) return;
+          lastUpdate = now;
+          send({ type: MESSAGE_TYPES.PROGRESS, text: partial });
+        },
+        onProgress: (index, total) => {
+          send({ type: MESSAGE_TYPES.PROGRESS, status: `Rewriting part ${index + 1} of ${total}...` });
+        },
+        onMasked: (counts) => {
+          const summary = PIIDetector.describe(counts);
+          if (summary) send({ type: MESSAGE_TYPES.PROGRESS, status: `Masked ${summary}. Rewriting...` });
+        },
+        onRetry: (issues, attempt, maxAttempts) => {
+          send({ type: MESSAGE_TYPES.PROGRESS, status: `Output rejected: ${QualityGate.describe(issues)}. Retrying (${attempt}/${maxAttempts})...` });
+        }
+      });
+      
+      if (this.jobs.get(tabId) !== llmClient) return;
+      
+      send({
+        type: MESSAGE_TYPES.RESULT,
+        text: outcome.text,
+        stopped: outcome.stopped,
+        warning: outcome.stopped ? '' : this.describeWarning(text, outcome, options)
+      });
+    
+    } catch (error) {
+      console.error('Humanization error:', error);
+      send({ type: MESSAGE_TYPES.ERROR, message: error.message });
+    } finally {
+      if (this.jobs.get(tabId) === llmClient) {
+        this.jobs.delete(tabId);
+      }
+    }
+  }
+  
+  /**
+   * Problem with a finished run worth showing in the preview
+   * @param {string} text - Selected text that was humanized
+   * @param {Object} outcome - Result of HumanizePipeline.run()
+   * @param {Object} options - Pipeline options of the run
+   * @returns {string} Empty when there is nothing to report
+   */
+  describeWarning(text, outcome, options) {
+    const restorationWarning = PIIMasker.describeRestoration(outcome.restoration);
+    if (restorationWarning) return restorationWarning;
+    
+    const issues = QualityGate.describe(outcome.qualityIssues);
+    if (issues) return `Check the result: ${issues}.`;
+    
+    // Summaries and the like drop facts on purpose
+    if (!(CONFIG.OPERATIONS[options.operation] || CONFIG.OPERATIONS.humanize).keepsFacts) return '';
+    
+    const facts = FactChecker.summarize(FactChecker.compare(text, outcome.text));
+    return facts ? `Check the result: ${facts}.` : '';
+  }
+  
+  /**
+   * Stop the running job for a tab, if any
+   * @param {number} tabId - Tab ID
+   */
+  cancel(tabId) {
+    const llmClient = this.jobs.get(tabId);
+    if (llmClient) {
+      llmClient.abort();
+    }
+  }
+  
+  /**
+   * Build pipeline options from the popup's saved state
+   * @param {Object} state - Saved popup state
+   * @param {Object} settings - LLM settings
+   * @param {Object[]} presets - Saved presets
+   * @param {Object[]} voiceProfiles - Saved voice profiles
+   * @returns {Object} Pipeline options
+   */
+  getOptions(state, settings, presets, voiceProfiles) {
+    const keys = CONFIG.STORAGE_KEYS;
+    const tone = state[keys.TONE] || 'natural';
+    const style = state[keys.STYLE] || 'clear';
+    const modelChoices = state[keys.MODEL_CHOICES] || {};
+    const voiceProfile = voiceProfiles.find((profile) => profile.id === state[keys.ACTIVE_VOICE]);
+    
+    return {
+      perspective: state[keys.PERSPECTIVE] || 'maintain',
+      tone,
+      style,
+      model: modelChoices[`${tone}|${style}`] || settings.model,
+      maskBefore: state[keys.MASK_BEFORE] !== undefined ? state[keys.MASK_BEFORE] : true,
+      maskAfter: Boolean(state[keys.MASK_PII]),
+      preset: presets.find((preset) => preset.id === state[keys.ACTIVE_PRESET]) || null,
+      piiTypes: state[keys.PII_TYPES] || {},
+      piiNames: settings.piiNames,
+      piiAlwaysMask: settings.piiAlwaysMask,
+      piiMode: state[keys.PSEUDONYMIZE] ? 'surrogate' : 'token',
+      preserveStructure: state[keys.PRESERVE_STRUCTURE] !== undefined ? state[keys.PRESERVE_STRUCTURE] : true,
+      postProcess: state[keys.POST_PROCESS] !== undefined ? state[keys.POST_PROCESS] : true,
+      bannedWords: settings.bannedWords,
+      preferredWords: settings.preferredWords,
+      glossary: settings.glossary,
+      targetLanguage: state[keys.TARGET_LANGUAGE] || '',
+      operation: state[keys.OPERATION] || 'humanize',
+      summaryLength: state[keys.SUMMARY_LENGTH] || 'short',
+      readingLevel: Number(state[keys.READING_LEVEL]) || 8,
+      length: { mode: state[keys.LENGTH_MODE] || 'auto', value: Number(state[keys.LENGTH_VALUE]) },
+      voice: voiceProfile ? { profile: voiceProfile, mode: state[keys.VOICE_MODE] || 'summary' } : null
+    };
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Context-menu title for an operation, e.g. "Summarize selection"
+ * @param {string} operation - Operation ID from CONFIG.OPERATIONS
+ * @returns {string}
+ */
+function menuTitle(operation) {
+  return (CONFIG.OPERATIONS[operation] || CONFIG.OPERATIONS.humanize).menu;
+}
+
+const jobRunner = new SelectionJobRunner();
+
+chrome.runtime.onInstalled.addListener(async () => {
+  const state = await jobRunner.stateManager.load();
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_ID,
+    title: menuTitle(state[CONFIG.STORAGE_KEYS.OPERATION]),
+    contexts: ['selection']
+  });
+});
+
+// Keep the entry's name in step with the operation it will run
+chrome.storage.onChanged.addListener((changes, area) => {
+  const change = changes[CONFIG.STORAGE_KEYS.OPERATION];
+  if (area !== 'local' || !change) return;
+  chrome.contextMenus.update(CONTEXT_MENU_ID, { title: menuTitle(change.newValue) }, () => {
+    // The entry may not exist yet while the extension is installing
+    void chrome.runtime.lastError;
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID || !tab?.id) return;
+  jobRunner.start(tab.id, info.frameId || 0, info.selectionText);
+});
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message?.type === MESSAGE_TYPES.CANCEL && sender.tab?.id !== undefined) {
+    jobRunner.cancel(sender.tab.id);
+  }
+});
@@ -0,0 +1,472 @@
+/**
+ * Text Humanization Chrome Extension - Content Script
+ * 
+ * Features:
+ * - Captures the selection in inputs, textareas and contenteditable editors
+ * - Inline preview of the streamed rewrite with Replace / Copy / Discard
+ * 
+ * Injected on demand by background.js; safe to inject more than once
+ */
+
+(() => {
+  if (window.__textToolsHumanizer) return;
+  window.__textToolsHumanizer = true;
+  
+  // ==========================================================================
+  // CONSTANTS
+  // ==========================================================================
+  
+  // Keep in sync with MESSAGE_TYPES in background.js
+  const MESSAGE_TYPES = {
+    CAPTURE: 'humanize:capture',
+    PROGRESS: 'humanize:progress',
+    RESULT: 'humanize:result',
+    ERROR: 'humanize:error',
+    CANCEL: 'humanize:cancel'
+  };
+  
+  const TEXT_INPUT_TYPES = new Set(['text', 'search', 'url', 'tel', 'email', '']);
+  
+  // ==========================================================================
+  // SELECTION MODULE
+  // ==========================================================================
+  
+  const SelectionTarget = {
+    /**
+     * Snapshot the current selection so it can be replaced later
+     * @returns {{kind: string, text: string, element: Element|null, start: number, end: number, range: Range|null, rect: DOMRect|null}}
+     */
+    capture() {
+      const active = this._deepActiveElement();
+      
+      if (this._isTextField(active)) {
+        const start = active.selectionStart;
+        const end = active.selectionEnd;
+        
+        if (start !== end) {
+          return {
+            kind: 'field',
+            text: active.value.slice(start, end),
+            element: active,
+            start,
+            end,
+            range: null,
+            rect: active.getBoundingClientRect()
+          };
+        }
+      }
+      
+      const selection = window.getSelection();
+      if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+        return { kind: 'none', text: '', element: null, start: 0, end: 0, range: null, rect: null };
+      }
+      
+      const range = selection.getRangeAt(0).cloneRange();
+      const container = range.commonAncestorContainer;
+      const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+      
+      return {
+        kind: element?.isContentEditable ? 'editable' : 'static',
+        text: selection.toString(),
+        element,
+        start: 0,
+        end: 0,
+        range,
+        rect: range.getBoundingClientRect()
+      };
+    },
+    
+    /**
+     * Replace the captured selection with new text
+     * @param {Object} target - Result of capture()
+     * @param {string} text - Replacement text
+     * @returns {boolean} Whether the text was replaced
+     */
+    replace(target, text) {
+      if (target.kind === 'field') {
+        const { element, start, end } = target;
+        if (!element.isConnected) return false;
+        
+        element.focus();
+        element.setSelectionRange(start, end);
+        
+        // execCommand keeps the page's undo stack and fires input events
+        if (!document.execCommand('insertText', false, text)) {
+          element.setRangeText(text, start, end, 'end');
+          element.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        return true;
+      }
+      
+      if (target.kind === 'editable') {
+        const { element, range } = target;
+        if (!element.isConnected) return false;
+        
+        const editable = element.closest('[contenteditable]') || element;
+        editable.focus();
+        
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        
+        if (!document.execCommand('insertText', false, text)) {
+          range.deleteContents();
+          range.insertNode(document.createTextNode(text));
+          editable.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        return true;
+      }
+      
+      return false;
+    },
+    
+    /**
+     * Active element, looking inside open shadow roots
+     * @private
+     */
+    _deepActiveElement() {
+      let active = document.activeElement;
+      while (active?.shadowRoot?.activeElement) {
+        active = active.shadowRoot.activeElement;
+      }
+      return active;
+    },
+    
+    /**
+     * Whether an element is a textarea or a text-like input
+     * @private
+     */
+    _isTextField(element) {
+      if (!element) return false;
+      if (element.tagName === 'TEXTAREA') return !element.readOnly && !element.disabled;
+      if (element.tagName !== 'INPUT') return false;
+      
+      const type = (element.getAttribute('type') || '').toLowerCase();
+      return TEXT_INPUT_TYPES.has(type) && !element.readOnly && !element.disabled;
+    }
+  };
+  
+  // ==========================================================================
+  // PREVIEW PANEL MODULE
+  // ==========================================================================
+  
+  const PANEL_STYLES = `
+    :host {
+      all: initial;
+    }
+    
+    .panel {
+      position: fixed;
+      z-index: 2147483647;
+      width: 380px;
+      max-width: calc(100vw - 16px);
+      background: white;
+      color: #2c3e50;
+      border: 2px solid #e2e8f0;
+      border-radius: 8px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', sans-serif;
+      font-size: 13px;
+      padding: 12px;
+    }
+    
+    .title {
+      font-size: 13px;
+      font-weight: 600;
+      color: #1a202c;
+      margin-bottom: 6px;
+    }
+    
+    .status {
+      font-size: 12px;
+      color: #2c5282;
+      margin-bottom: 6px;
+    }
+    
+    .status.error {
+      color: #c53030;
+    }
+    
+    .output {
+      white-space: pre-wrap;
+      max-height: 240px;
+      overflow-y: auto;
+      background: #f7fafc;
+      border: 1px solid #e2e8f0;
+      border-radius: 6px;
+      padding: 8px;
+      line-height: 1.5;
+      min-height: 40px;
+    }
+    
+    .actions {
+      display: flex;
+      gap: 6px;
+      margin-top: 8px;
+    }
+    
+    button {
+      flex: 1;
+      padding: 7px 10px;
+      border: none;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      font-family: inherit;
+      color: white;
+    }
+    
+    button[hidden] {
+      display: none;
+    }
+    
+    .accept {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    }
+    
+    .copy {
+      background: #48bb78;
+    }
+    
+    .stop {
+      background: #e53e3e;
+    }
+    
+    .discard {
+      background: #718096;
+    }
+  `;
+  
+  class PreviewPanel {
+    /**
+     * @param {Object} target - Captured selection
+     * @param {string} [title] - What the job does, e.g. "Summarize selection"
+     */
+    constructor(target, title = 'Humanize selection') {
+      this.target = target;
+      this.title = title;
+      this.text = '';
+      this.running = true;
+      this.onKeyDown = (e) => {
+        if (e.key === 'Escape') this.discard();
+      };
+      
+      this._render();
+    }
+    
+    /**
+     * Update streamed text and/or status line
+     * @param {{text?: string, status?: string}} update
+     */
+    update({ text, status }) {
+      if (typeof text === 'string') {
+        this.text = text;
+        this.outputEl.textContent = text;
+        this.outputEl.scrollTop = this.outputEl.scrollHeight;
+      }
+      if (status) {
+        this.setStatus(status);
+      }
+    }
+    
+    /**
+     * Show the final result and enable the accept actions
+     * @param {string} text - Final text
+     * @param {boolean} stopped - Whether generation was stopped early
+     * @param {string} [warning] - Problem to point out, e.g. PII that could not be restored
+     */
+    finish(text, stopped, warning = '') {
+      this.running = false;
+      this.update({ text });
+      if (warning) {
+        this.setStatus(warning, true);
+      } else {
+        this.setStatus(stopped ? 'Stopped. Partial output kept.' : 'Done. Replace the selection?');
+      }
+      
+      this.stopBtn.hidden = true;
+      this.acceptBtn.hidden = !['field', 'editable'].includes(this.target.kind);
+      this.copyBtn.hidden = false;
+    }
+    
+    /**
+     * Show an error
+     * @param {string} message - Error message
+     */
+    fail(message) {
+      this.running = false;
+      this.setStatus(`Error: ${message}`, true);
+      this.stopBtn.hidden = true;
+    }
+    
+    /**
+     * Set the status line
+     */
+    setStatus(message, isError = false) {
+      this.statusEl.textContent = message;
+      this.statusEl.className = isError ? 'status error' : 'status';
+    }
+    
+    /**
+     * Replace the selection with the result and close
+     */
+    accept() {
+      if (SelectionTarget.replace(this.target, this.text)) {
+        this.close();
+      } else {
+        this.setStatus('The original selection is gone. Copy the text instead.', true);
+      }
+    }
+    
+    /**
+     * Copy the result to the clipboard
+     */
+    async copy() {
+      try {
+        await navigator.clipboard.writeText(this.text);
+        this.setStatus('Copied to clipboard!');
+      } catch (error) {
+        console.error('Copy error:', error);
+        this.setStatus('Failed to copy', true);
+      }
+    }
+    
+    /**
+     * Stop generation, keeping partial output
+     */
+    stop() {
+      chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CANCEL }).catch(() => {});
+      this.setStatus('Stopping...');
+    }
+    
+    /**
+     * Close the panel, cancelling any running job
+     */
+    discard() {
+      if (this.running) {
+        chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CANCEL }).catch(() => {});
+      }
+      this.close();
+    }
+    
+    /**
+     * Remove the panel from the page
+     */
+    close() {
+      document.removeEventListener('keydown', this.onKeyDown, true);
+      this.host.remove();
+      if (activePanel === this) activePanel = null;
+    }
+    
+    /**
+     * Build the panel inside a shadow root so page styles don't leak in
+     * @private
+     */
+    _render() {
+      this.host = document.createElement('div');
+      const shadow = this.host.attachShadow({ mode: 'closed' });
+      
+      const style = document.createElement('style');
+      style.textContent = PANEL_STYLES;
+      
+      const panel = document.createElement('div');
+      panel.className = 'panel';
+      panel.setAttribute('role', 'dialog');
+      panel.setAttribute('aria-label', this.title);
+      
+      const title = document.createElement('div');
+      title.className = 'title';
+      title.textContent = `✨ ${this.title}`;
+      
+      this.statusEl = document.createElement('div');
+      this.statusEl.className = 'status';
+      this.statusEl.textContent = 'Rewriting...';
+      
+      this.outputEl = document.createElement('div');
+      this.outputEl.className = 'output';
+      
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      
+      this.acceptBtn = this._button('Replace', 'accept', () => this.accept());
+      this.copyBtn = this._button('Copy', 'copy', () => this.copy());
+      this.stopBtn = this._button('Stop', 'stop', () => this.stop());
+      const discardBtn = this._button('Discard', 'discard', () => this.discard());
+      
+      this.acceptBtn.hidden = true;
+      this.copyBtn.hidden = true;
+      
+      actions.append(this.acceptBtn, this.copyBtn, this.stopBtn, discardBtn);
+      panel.append(title, this.statusEl, this.outputEl, actions);
+      shadow.append(style, panel);
+      
+      this._position(panel);
+      document.documentElement.appendChild(this.host);
+      document.addEventListener('keydown', this.onKeyDown, true);
+    }
+    
+    /**
+     * Place the panel below the selection, inside the viewport
+     * @private
+     */
+    _position(panel) {
+      const rect = this.target.rect;
+      const width = Math.min(380, window.innerWidth - 16);
+      
+      let top = rect ? rect.bottom + 8 : 16;
+      let left = rect ? rect.left : window.innerWidth - width - 16;
+      
+      // Flip above the selection when there is no room below
+      if (top + 200 > window.innerHeight && rect) {
+        top = Math.max(8, rect.top - 308);
+      }
+      left = Math.max(8, Math.min(left, window.innerWidth - width - 8));
+      
+      panel.style.top = `${top}px`;
+      panel.style.left = `${left}px`;
+    }
+    
+    /**
+     * Create a panel button
+     * @private
+     */
+    _button(label, className, onClick) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      return button;
+    }
+  }
+  
+  // ==========================================================================
+  // MESSAGE HANDLING
+  // ==========================================================================
+  
+  let activePanel = null;
+  
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    switch (message?.type) {
+      case MESSAGE_TYPES.CAPTURE: {
+        const target = SelectionTarget.capture();
+        if (activePanel) activePanel.close();
+        activePanel = new PreviewPanel(target, message.title);
+        sendResponse({ text: target.text, kind: target.kind });
+        break;
+      }
+      case MESSAGE_TYPES.PROGRESS:
+        activePanel?.update(message);
+        break;
+      case MESSAGE_TYPES.RESULT:
+        activePanel?.finish(message.text, message.stopped, message.warning);
+        break;
+      case MESSAGE_TYPES.ERROR:
+        activePanel?.fail(message.message);
+        break;
+      default:
+        break;
+    }
+  });
+})();
@@ -0,0 +1,5551 @@
+/**
+ * Text Humanization Chrome Extension - Core Modules
+ * Shared by the popup and the options page; no DOM access here
+ * 
+ * Modules:
+ * - Configuration and text utilities
+ * - PII masking and restoration
+ * - Prompt building and long-document chunking
+ * - LLM client and state persistence
+ */
+
+// ============================================================================
+// CONFIGURATION MODULE
+// ============================================================================
+
+const CONFIG = {
+  // Defaults; users can override these on the options page
+  PROVIDER: 'lmstudio',
+  LM_STUDIO_URL: 'http://localhost:1234',
+  MODEL: 'llama-3.2-3b-instruct',
+  
+  // Text length thresholds (in words)
+  LENGTH_THRESHOLDS: {
+    SHORT: 100,      // < 100 words
+    MEDIUM: 500,     // 100-500 words
+    LONG: 2000,      // 500-2000 words
+    VERY_LONG: 2000  // > 2000 words
+  },
+  
+  // Timeout settings (milliseconds)
+  TIMEOUTS: {
+    CONNECTION_TEST: 5000,
+    SHORT: 30000,
+    MEDIUM: 60000,
+    LONG: 90000,
+    VERY_LONG: 120000
+  },
+  
+  // Multiple candidate generations
+  VARIANTS: {
+    MAX: 5,
+    TEMPERATURE_OFFSETS: [0, 0.15, -0.15, 0.3, -0.25],
+    MIN_TEMPERATURE: 0.1,
+    MAX_TEMPERATURE: 1.5
+  },
+  
+  // Long-document pipeline (VERY_LONG text is rewritten chunk by chunk)
+  CHUNKING: {
+    MAX_WORDS: 400,     // Target words per chunk
+    CONTEXT_WORDS: 60,  // Words of previous output passed as rolling context
+    MAX_RETRIES: 2      // Extra model calls per chunk, shared by failed calls and quality retries
+  },
+  
+  // Checks on every model answer, retried with a corrective prompt when they fail
+  QUALITY: {
+    MAX_RETRIES: 2,
+    // Length change the prompt allows per category; chunks are categorized by their own length
+    LENGTH_LIMITS: {
+      SHORT: 0.10,
+      MEDIUM: 0.15,
+      LONG: 0.20,
+      VERY_LONG: 0.25
+    },
+    LENGTH_SLACK: 2,          // Reject only beyond this multiple of the limit
+    MIN_WORDS_FOR_LENGTH: 20  // Shorter texts swing too much to judge
+  },
+  
+  // Length targets the user can pick; ratio is output words per input word
+  LENGTH_MODES: {
+    auto: { label: 'Default for operation' },
+    shorter: { label: 'Shorter (about 70%)', ratio: 0.7 },
+    same: { label: 'Same length', ratio: 1 },
+    longer: { label: 'Longer (about 140%)', ratio: 1.4 },
+    words: { label: 'Exact word count', unit: 'words' },
+    percent: { label: 'Percent of original', unit: '%' }
+  },
+  
+  // Bounds on length targets and the max_tokens derived from them
+  LENGTH_TARGET: {
+    MIN_RATIO: 0.05,
+    MAX_RATIO: 5,
+    MIN_WORDS: 5,
+    TOKENS_PER_WORD: 1.6,  // Rough average across languages, on the high side
+    TOKEN_HEADROOM: 1.5,   // Room for overshoot so answers are not cut off
+    MIN_TOKENS: 256,
+    MAX_TOKENS: 4096
+  },
+  
+  // LLM generation parameters
+  LLM_PARAMS: {
+    temperature: 0.75,
+    top_p: 0.92,
+    frequency_penalty: 0.6,
+    presence_penalty: 0.5,
+    repeat_penalty: 1.15
+  },
+  
+  // Persistent storage keys
+  STORAGE_KEYS: {
+    INPUT_TEXT: 'inputText',
+    PERSPECTIVE: 'perspective',
+    TONE: 'tone',
+    STYLE: 'style',
+    MASK_PII: 'maskPII',
+    MASK_BEFORE: 'maskBefore',
+    SETTINGS: 'settings',
+    MODEL_CHOICES: 'modelChoices',
+    HISTORY_REDACT_PII: 'historyRedactPII',
+    VARIANTS: 'variants',
+    PRESETS: 'presets',
+    ACTIVE_PRESET: 'activePreset',
+    PII_TYPES: 'piiTypes',
+    REVIEW_PII: 'reviewPII',
+    PSEUDONYMIZE: 'pseudonymize',
+    PRESERVE_STRUCTURE: 'preserveStructure',
+    POST_PROCESS: 'postProcess',
+    RICH_INPUT: 'richInput',
+    TARGET_LANGUAGE: 'targetLanguage',
+    OPERATION: 'operation',
+    SUMMARY_LENGTH: 'summaryLength',
+    READING_LEVEL: 'readingLevel',
+    LENGTH_MODE: 'lengthMode',
+    LENGTH_VALUE: 'lengthValue',
+    VOICE_PROFILES: 'voiceProfiles',
+    ACTIVE_VOICE: 'activeVoice',
+    VOICE_MODE: 'voiceMode'
+  },
+  
+  // Writing parameters offered by the popup and preset selects
+  PERSPECTIVES: {
+    maintain: 'Maintain Original',
+    'first-person': 'First Person',
+    'second-person': 'Second Person',
+    'third-person': 'Third Person'
+  },
+  
+  TONES: {
+    natural: 'Natural',
+    casual: 'Casual',
+    professional: 'Professional',
+    academic: 'Academic',
+    friendly: 'Friendly'
+  },
+  
+  STYLES: {
+    clear: 'Clear',
+    concise: 'Concise',
+    descriptive: 'Descriptive',
+    persuasive: 'Persuasive',
+    explanatory: 'Explanatory'
+  },
+  
+  // Built-in presets, used until the user saves their own
+  DEFAULT_PRESETS: [
+    {
+      id: 'support-reply',
+      name: 'Support reply',
+      perspective: 'first-person',
+      tone: 'friendly',
+      style: 'clear',
+      instructions: 'Acknowledge the problem first, then give concrete next steps. Keep it warm but brief.',
+      bannedWords: ['unfortunately', 'inconvenience'],
+      sample: ''
+    },
+    {
+      id: 'release-notes',
+      name: 'Release notes',
+      perspective: 'maintain',
+      tone: 'professional',
+      style: 'concise',
+      instructions: 'Lead with what changed for the user. One idea per sentence. No marketing language.',
+      bannedWords: ['revolutionary', 'seamless', 'robust'],
+      sample: ''
+    },
+    {
+      id: 'linkedin-post',
+      name: 'LinkedIn post',
+      perspective: 'first-person',
+      tone: 'casual',
+      style: 'persuasive',
+      instructions: 'Open with a short hook line. Use short paragraphs. End with a question to the reader.',
+      bannedWords: ['delve', 'synergy', 'game-changer'],
+      sample: ''
+    }
+  ],
+  
+  // PII detection: entity types (in display order) and name heuristics
+  PII: {
+    TYPES: {
+      NAME: { label: 'Names', singular: 'name', plural: 'names', enabled: true },
+      EMAIL: { label: 'Emails', singular: 'email', plural: 'emails', enabled: true },
+      PHONE: { label: 'Phone numbers', singular: 'phone number', plural: 'phone numbers', enabled: true },
+      ADDRESS: { label: 'Street addresses', singular: 'address', plural: 'addresses', enabled: true },
+      DOB: { label: 'Dates of birth', singular: 'date of birth', plural: 'dates of birth', enabled: true },
+      CARD: { label: 'Card numbers', singular: 'card number', plural: 'card numbers', enabled: true },
+      IBAN: { label: 'IBANs', singular: 'IBAN', plural: 'IBANs', enabled: true },
+      ID: { label: 'SSNs / national IDs', singular: 'ID number', plural: 'ID numbers', enabled: true },
+      IP: { label: 'IP addresses', singular: 'IP address', plural: 'IP addresses', enabled: true },
+      URL: { label: 'URLs with tokens', singular: 'URL with a token', plural: 'URLs with tokens', enabled: true },
+      SECRET: { label: 'API keys / secrets', singular: 'secret', plural: 'secrets', enabled: true },
+      CUSTOM: { label: 'Always-mask terms', singular: 'marked span', plural: 'marked spans', enabled: true }
+    },
+    
+    // Common first names; add more on the options page
+    FIRST_NAMES: [
+      'James', 'John', 'Robert', 'Michael', 'William', 'David', 'Richard', 'Joseph', 'Thomas', 'Charles',
+      'Christopher', 'Daniel', 'Matthew', 'Anthony', 'Mark', 'Paul', 'Steven', 'Andrew', 'Kevin', 'Brian',
+      'George', 'Edward', 'Peter', 'Ryan', 'Jacob', 'Eric', 'Stephen', 'Jonathan', 'Samuel', 'Benjamin',
+      'Mary', 'Patricia', 'Jennifer', 'Linda', 'Elizabeth', 'Barbara', 'Susan', 'Jessica', 'Sarah', 'Karen',
+      'Lisa', 'Nancy', 'Sandra', 'Ashley', 'Emily', 'Michelle', 'Laura', 'Rachel', 'Emma', 'Olivia',
+      'Sophia', 'Anna', 'Hannah', 'Julia', 'Maria', 'Chloe', 'Lucy', 'Alice', 'Charlotte', 'Amelia',
+      'Mohammed', 'Muhammad', 'Ahmed', 'Ali', 'Omar', 'Fatima', 'Aisha', 'Priya', 'Rahul', 'Amit',
+      'Arjun', 'Ananya', 'Wei', 'Li', 'Yuki', 'Hiroshi', 'Kenji', 'Jose', 'José', 'Juan',
+      'Carlos', 'Luis', 'Miguel', 'Sofia', 'Lucia', 'Pierre', 'Jean', 'Marie', 'Hans', 'Lukas',
+      'Giulia', 'Marco', 'Luca', 'Ivan', 'Olga', 'Dmitri', 'Kwame', 'Amara', 'Chen', 'Noah'
+    ],
+    
+    // Capitalized words that follow a first name without being a surname
+    NOT_SURNAMES: ['The', 'And', 'But', 'Or', 'If', 'When', 'This', 'That', 'I', 'We', 'You', 'He', 'She', 'They', 'It'],
+    
+    // Stand-ins for pseudonymization; emails use example.com, phones 555-01xx
+    SURROGATES: {
+      FIRST_NAMES: ['Alex', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn', 'Rowan',
+        'Skyler', 'Dana', 'Robin', 'Sasha', 'Charlie', 'Emerson', 'Finley', 'Hayden', 'Kendall', 'Parker'],
+      LAST_NAMES: ['Smith', 'Reyes', 'Brooks', 'Garcia', 'Miller', 'Novak', 'Wilson', 'Clarke', 'Lewis', 'Walker',
+        'Young', 'Hale', 'Allen', 'Kerr', 'Wright', 'Scott', 'Green', 'Baker', 'Adams', 'Nelson'],
+      STREETS: ['Maple Street', 'Oak Avenue', 'Cedar Road', 'Pine Lane', 'Elm Drive', 'Birch Court']
+    }
+  },
+  
+  // Rewrite history (stored separately from UI state)
+  HISTORY: {
+    STORAGE_KEY: 'history',
+    MAX_ENTRIES: 100,
+    MAX_CHARS: 1000000  // Oldest entries are dropped beyond this total size
+  },
+  
+  // Post-processing rules, grouped so each tone only gets the swaps that suit it.
+  // Plain patterns match whole words case-insensitively; replacements take the
+  // case of the text they replace.
+  POST_PROCESSING: {
+    RULES: {
+      wordy: [
+        { pattern: 'due to the fact that', replacement: 'because' },
+        { pattern: 'in the event that', replacement: 'if' },
+        { pattern: 'in order to', replacement: 'to' },
+        { pattern: 'at this point in time', replacement: 'now' },
+        { pattern: 'for the purpose of', replacement: 'for' },
+        { pattern: '\\butiliz(e|es|ed|ing)\\b', replacement: 'us$1', regex: true }
+      ],
+      stiff: [
+        { pattern: 'it is important to note that', replacement: 'note that' },
+        { pattern: 'it is important to note', replacement: 'importantly' },
+        { pattern: 'it is worth noting that', replacement: 'notably' },
+        { pattern: 'in conclusion', replacement: 'finally' },
+        { pattern: 'to summarize', replacement: 'in short' },
+        { pattern: 'furthermore', replacement: 'also' }
+      ],
+      transitions: [
+        { pattern: 'moreover', replacement: 'beyond that' },
+        { pattern: 'in addition', replacement: 'plus' }
+      ],
+      contractions: [
+        { pattern: '\\b(do|does|did|is|are|was|were|has|have|had|could|would|should) not\\b', replacement: "$1n't", regex: true },
+        { pattern: 'cannot', replacement: "can't" },
+        { pattern: 'will not', replacement: "won't" }
+      ]
+    },
+    
+    // Rule groups applied for each tone, in order
+    RULE_SETS: {
+      natural: ['wordy', 'stiff', 'transitions'],
+      casual: ['wordy', 'stiff', 'transitions', 'contractions'],
+      friendly: ['wordy', 'stiff', 'transitions', 'contractions'],
+      professional: ['wordy', 'stiff'],
+      academic: ['wordy']
+    }
+  },
+  
+  // Readability and "AI tell" analysis
+  ANALYSIS: {
+    // Words and phrases models overuse; matched as whole words, any inflection of the last word
+    TELLS: [
+      'delve', 'tapestry', 'testament', 'intricate', 'multifaceted', 'realm', 'embark',
+      'seamless', 'leverage', 'robust', 'pivotal', 'foster', 'underscore', 'showcase',
+      'vibrant', 'meticulous', 'unwavering', 'elevate', 'bustling', 'ever-evolving',
+      'game-changer', 'navigate the complexities', 'in today\'s fast-paced world',
+      'it\'s important to note', 'it is important to note', 'in conclusion', 'furthermore',
+      'moreover', 'additionally', 'plays a crucial role', 'unlock the potential'
+    ],
+    EM_DASHES_PER_100_WORDS: 1,  // More than this counts as overuse
+    NGRAM_SIZE: 3,
+    MAX_NGRAMS: 5
+  },
+  
+  // Text operations. keepsLength/keepsFacts turn on the QualityGate length and number
+  // checks, keepsStructure allows the Markdown-preserving path and toneRules the
+  // built-in post-processing rules. typicalLength (output words per input word) sizes
+  // max_tokens when the user has not set a length target
+  OPERATIONS: {
+    humanize: { label: 'Humanize', menu: 'Humanize selection', button: 'Humanize Text', done: 'Text humanized successfully!', keepsLength: true, keepsFacts: true, keepsStructure: true, toneRules: true, typicalLength: 1 },
+    summarize: { label: 'Summarize', menu: 'Summarize selection', button: 'Summarize Text', done: 'Summary ready!', keepsLength: false, keepsFacts: false, keepsStructure: false, toneRules: true, typicalLength: 0.5 },
+    expand: { label: 'Expand', menu: 'Expand selection', button: 'Expand Text', done: 'Text expanded!', keepsLength: false, keepsFacts: true, keepsStructure: false, toneRules: true, typicalLength: 2 },
+    simplify: { label: 'Simplify', menu: 'Simplify selection', button: 'Simplify Text', done: 'Text simplified!', keepsLength: false, keepsFacts: true, keepsStructure: true, toneRules: true, typicalLength: 1.1 },
+    grammar: { label: 'Fix Grammar', menu: 'Fix grammar in selection', button: 'Fix Grammar', done: 'Grammar and spelling fixed!', keepsLength: true, keepsFacts: true, keepsStructure: true, toneRules: false, typicalLength: 1 },
+    'to-prose': { label: 'Bullets to Prose', menu: 'Turn selection into prose', button: 'Convert to Prose', done: 'Bullets turned into prose!', keepsLength: false, keepsFacts: true, keepsStructure: false, toneRules: true, typicalLength: 1.3 },
+    'to-bullets': { label: 'Prose to Bullets', menu: 'Turn selection into bullets', button: 'Convert to Bullets', done: 'Prose turned into bullets!', keepsLength: false, keepsFacts: true, keepsStructure: false, toneRules: true, typicalLength: 1 }
+  },
+  
+  // Glossary entries named in the prompt; the rest are still enforced afterwards
+  GLOSSARY: {
+    MAX_PROMPT_RULES: 20
+  },
+  
+  // Voice profiles: writing samples the prompt imitates
+  VOICE: {
+    MAX_SAMPLES: 10,
+    MAX_SAMPLE_CHARS: 5000,
+    EXCERPT_WORDS: 150,  // Budget for the few-shot excerpt in the system prompt
+    MIN_PARAGRAPH_WORDS: 8
+  },
+  
+  // How a voice profile is put into the prompt
+  VOICE_MODES: {
+    summary: 'Style summary',
+    excerpt: 'Example excerpt',
+    both: 'Summary and excerpt'
+  },
+  
+  // Summary lengths: share of the original word count, or a fixed sentence count
+  SUMMARY_LENGTHS: {
+    brief: { label: 'Brief (1-2 sentences)', sentences: 2 },
+    short: { label: 'Short (about 25%)', ratio: 0.25 },
+    medium: { label: 'Medium (about 50%)', ratio: 0.5 }
+  },
+  
+  // Reading levels for simplify, as US school grades
+  READING_LEVELS: {
+    5: 'Very easy (grade 5)',
+    8: 'Plain (grade 8)',
+    12: 'Standard (grade 12)'
+  },
+  
+  // Languages LanguageDetector can tell apart, also offered as translation targets
+  LANGUAGES: {
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    pt: 'Portuguese',
+    it: 'Italian',
+    nl: 'Dutch',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    el: 'Greek',
+    ar: 'Arabic',
+    fa: 'Persian',
+    he: 'Hebrew',
+    hi: 'Hindi',
+    th: 'Thai',
+    zh: 'Chinese',
+    ja: 'Japanese',
+    ko: 'Korean'
+  }
+};
+
+// ============================================================================
+// TEXT PROCESSING UTILITIES MODULE
+// ============================================================================
+
+const TextUtils = {
+  // Scripts written without spaces between words
+  UNSPACED_PATTERN: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u,
+  
+  /**
+   * Count words in text with proper whitespace handling
+   * @param {string} text - Input text
+   * @returns {number} Word count
+   */
+  countWords(text) {
+    if (!text || typeof text !== 'string') return 0;
+    
+    // Chinese, Japanese and Thai have no spaces: split them into dictionary
+    // words, or count each character where Intl.Segmenter is missing
+    if (this.UNSPACED_PATTERN.test(text)) {
+      const segmenter = this._segmenter('word');
+      if (segmenter) {
+        return Array.from(segmenter.segment(text)).filter((segment) => segment.isWordLike).length;
+      }
+      
+      const unspaced = new RegExp(this.UNSPACED_PATTERN.source, 'gu');
+      const characters = (text.match(unspaced) || []).length;
+      return characters + this.countWords(text.replace(unspaced, ' '));
+    }
+    
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+  },
+  
+  /**
+   * Count characters as a reader sees them: emoji and combining marks count once
+   * @param {string} text - Input text
+   * @returns {number} Character count
+   */
+  countCharacters(text) {
+    if (!text || typeof text !== 'string') return 0;
+    
+    const segmenter = this._segmenter('grapheme');
+    return segmenter ? Array.from(segmenter.segment(text)).length : Array.from(text).length;
+  },
+  
+  /**
+   * Get text category based on word count
+   * @param {string} text - Input text
+   * @returns {string} Category: SHORT, MEDIUM, LONG, or VERY_LONG
+   */
+  getTextCategory(text) {
+    const wordCount = this.countWords(text);
+    const { SHORT, MEDIUM, LONG } = CONFIG.LENGTH_THRESHOLDS;
+    
+    if (wordCount < SHORT) return 'SHORT';
+    if (wordCount < MEDIUM) return 'MEDIUM';
+    if (wordCount < LONG) return 'LONG';
+    return 'VERY_LONG';
+  },
+  
+  /**
+   * Get timeout duration based on text category
+   * @param {string} category - Text category
+   * @returns {number} Timeout in milliseconds
+   */
+  getTimeout(category) {
+    return CONFIG.TIMEOUTS[category] || CONFIG.TIMEOUTS.VERY_LONG;
+  },
+  
+  /**
+   * Calculate max_tokens for an answer of the expected length
+   * @param {number} words - Expected answer length in words
+   * @returns {number} Max tokens for generation
+   */
+  calculateMaxTokens(words) {
+    const { TOKENS_PER_WORD, TOKEN_HEADROOM, MIN_TOKENS, MAX_TOKENS } = CONFIG.LENGTH_TARGET;
+    const calculated = Math.ceil(words * TOKENS_PER_WORD * TOKEN_HEADROOM);
+    return Math.min(Math.max(calculated, MIN_TOKENS), MAX_TOKENS);
+  },
+  
+  /**
+   * Validate input text
+   * @param {string} text - Input text
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validateInput(text) {
+    if (!text || typeof text !== 'string') {
+      return { valid: false, error: 'Input must be valid text' };
+    }
+    
+    if (text.trim().length === 0) {
+      return { valid: false, error: 'Cannot process empty text' };
+    }
+    
+    if (this.countWords(text) > 5000) {
+      return { valid: false, error: 'Text too long. Max 5000 words' };
+    }
+    
+    return { valid: true, error: null };
+  },
+  
+  /**
+   * Shared Intl.Segmenter, or null where the browser lacks one
+   * @private
+   */
+  _segmenter(granularity) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+    
+    this._segmenters = this._segmenters || {};
+    if (!this._segmenters[granularity]) {
+      this._segmenters[granularity] = new Intl.Segmenter(undefined, { granularity });
+    }
+    return this._segmenters[granularity];
+  }
+};
+
+// ============================================================================
+// LENGTH TARGET MODULE
+// ============================================================================
+
+const LengthTarget = {
+  /**
+   * Output words per input word the user asked for
+   * @param {{mode: string, value?: number}|null} length - Mode from CONFIG.LENGTH_MODES; value is
+   *   a word count for 'words' and a percentage for 'percent'
+   * @param {number} sourceWords - Word count of the whole input
+   * @returns {number|null} Null for 'auto' (or an unusable value), leaving length to the operation
+   */
+  ratio(length, sourceWords) {
+    const mode = CONFIG.LENGTH_MODES[length?.mode];
+    if (!mode || length.mode === 'auto') return null;
+    if (mode.ratio) return mode.ratio;
+    
+    const value = Number(length.value);
+    if (!(value > 0) || !sourceWords) return null;
+    
+    const { MIN_RATIO, MAX_RATIO } = CONFIG.LENGTH_TARGET;
+    const ratio = length.mode === 'words' ? value / sourceWords : value / 100;
+    return Math.min(Math.max(ratio, MIN_RATIO), MAX_RATIO);
+  },
+  
+  /**
+   * Target word count for a text
+   * @param {string} text - Text being rewritten (a whole input, chunk or block)
+   * @param {number} ratio - Result of ratio()
+   * @returns {number}
+   */
+  words(text, ratio) {
+    return Math.max(CONFIG.LENGTH_TARGET.MIN_WORDS, Math.round(TextUtils.countWords(text) * ratio));
+  },
+  
+  /**
+   * max_tokens for rewriting a text: from the length target if there is one,
+   * otherwise from the operation's typical length
+   * @param {string} text - Text being rewritten
+   * @param {{operation?: string, lengthRatio?: number}} extras - Prompt extras
+   * @returns {number}
+   */
+  maxTokens(text, extras = {}) {
+    const operation = CONFIG.OPERATIONS[extras.operation] || CONFIG.OPERATIONS.humanize;
+    return TextUtils.calculateMaxTokens(TextUtils.countWords(text) * (extras.lengthRatio || operation.typicalLength));
+  },
+  
+  /**
+   * Actual versus target length, e.g. "95% of the 150-word target"
+   * @param {string} output - Result text
+   * @param {number} target - Target word count
+   * @returns {string}
+   */
+  describe(output, target) {
+    const words = TextUtils.countWords(output);
+    return `${Math.round((words / target) * 100)}% of the ${target}-word target`;
+  }
+};
+
+// ============================================================================
+// LANGUAGE DETECTION MODULE
+// ============================================================================
+
+/**
+ * Guesses the language of a text locally: by script, then by a few
+ * distinctive letters or, for Latin script, common function words
+ */
+const LanguageDetector = {
+  // Letters needed before guessing; CJK characters carry more per letter
+  MIN_LETTERS: 20,
+  MIN_CJK_LETTERS: 6,
+  
+  SCRIPTS: {
+    latin: /\p{Script=Latin}/gu,
+    cyrillic: /\p{Script=Cyrillic}/gu,
+    greek: /\p{Script=Greek}/gu,
+    arabic: /\p{Script=Arabic}/gu,
+    hebrew: /\p{Script=Hebrew}/gu,
+    devanagari: /\p{Script=Devanagari}/gu,
+    thai: /\p{Script=Thai}/gu,
+    han: /\p{Script=Han}/gu,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+    hangul: /\p{Script=Hangul}/gu
+  },
+  
+  // Scripts used by a single language in CONFIG.LANGUAGES
+  SCRIPT_LANGUAGES: { greek: 'el', hebrew: 'he', devanagari: 'hi', thai: 'th', hangul: 'ko' },
+  
+  // Common function words per language, for telling Latin-script languages apart
+  STOPWORDS: {
+    en: ['the', 'and', 'is', 'are', 'of', 'to', 'in', 'that', 'it', 'with', 'for', 'this', 'was', 'you'],
+    es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'es', 'por', 'con', 'para', 'una', 'del'],
+    fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'en', 'que', 'pour', 'une', 'dans', 'du', 'avec'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'den', 'von', 'auf', 'für'],
+    pt: ['o', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'para', 'com', 'não', 'do', 'da'],
+    it: ['il', 'gli', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'con', 'non', 'del', 'della', 'sono'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'met', 'voor', 'zijn', 'ik', 'je']
+  },
+  
+  /**
+   * Most likely language of a text
+   * @param {string} text - Text to inspect
+   * @returns {string|null} Code from CONFIG.LANGUAGES, or null when there is too little text to tell
+   */
+  detect(text) {
+    const letters = String(text || '').replace(/\[\[[^\]]*\]\]|https?:\/\/\S+|`[^`]*`/g, ' ');
+    const counts = {};
+    Object.entries(this.SCRIPTS).forEach(([script, pattern]) => {
+      counts[script] = (letters.match(pattern) || []).length;
+    });
+    
+    // Japanese mixes kanji with kana; Han alone is Chinese
+    const cjk = counts.han + counts.kana;
+    if (cjk >= this.MIN_CJK_LETTERS && cjk >= counts.hangul && cjk * 2 >= counts.latin) {
+      return counts.kana >= Math.max(2, cjk * 0.05) ? 'ja' : 'zh';
+    }
+    
+    const [script, count] = Object.entries(counts)
+      .filter(([name]) => name !== 'han' && name !== 'kana')
+      .sort((a, b) => b[1] - a[1])[0];
+    if (count < (script === 'hangul' ? this.MIN_CJK_LETTERS : this.MIN_LETTERS)) return null;
+    
+    if (this.SCRIPT_LANGUAGES[script]) return this.SCRIPT_LANGUAGES[script];
+    if (script === 'cyrillic') return /[іїєґ]/i.test(letters) ? 'uk' : 'ru';
+    if (script === 'arabic') return /[پچژگ]/.test(letters) ? 'fa' : 'ar';
+    
+    return this._latin(letters);
+  },
+  
+  /**
+   * Display name for a language code
+   * @param {string} code - Language code
+   * @returns {string}
+   */
+  name(code) {
+    return CONFIG.LANGUAGES[code] || code;
+  },
+  
+  /**
+   * Latin-script language whose function words are most frequent, if clearly ahead
+   * @private
+   */
+  _latin(text) {
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length < 15) return null;
+    
+    const scores = Object.entries(this.STOPWORDS)
+      .map(([language, list]) => [language, words.filter((word) => list.includes(word)).length])
+      .sort((a, b) => b[1] - a[1]);
+    const [[language, top], [, second]] = scores;
+    
+    return top >= 3 && top >= second * 1.5 ? language : null;
+  }
+};
+
+// ============================================================================
+// PII DETECTION MODULE
+// ============================================================================
+
+const MONTH_PATTERN = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const DATE_PATTERN = `(?:\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|${MONTH_PATTERN}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH_PATTERN},?\\s+\\d{4})`;
+const NAME_WORD = "\\p{Lu}[\\p{Ll}'’-]+";
+
+/**
+ * Rule-based entity detection. Rules run in priority order; when two matches
+ * overlap, the earlier rule (then the longer match) wins.
+ */
+const PIIDetector = {
+  RULES: [
+    // Links carrying credentials or tokens
+    {
+      type: 'URL',
+      regex: /\bhttps?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]]/gi,
+      validate: (value) => /^https?:\/\/[^/\s]+:[^/\s]+@/i.test(value) ||
+        /[?&#](?:access_token|token|key|api_key|apikey|sig|signature|auth|session|sessionid|code|password|secret)=/i.test(value)
+    },
+    
+    // Private key blocks, well-known token shapes and secret assignments
+    { type: 'SECRET', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { type: 'SECRET', regex: /\b(?:sk|pk|rk)[-_](?:live[-_]|test[-_]|proj[-_])?[A-Za-z0-9_-]{16,}/g },
+    { type: 'SECRET', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { type: 'SECRET', regex: /\bgh[pousr]_[A-Za-z0-9]{30,}\b/g },
+    { type: 'SECRET', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { type: 'SECRET', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { type: 'SECRET', regex: /\beyJ[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,}/g },
+    { type: 'SECRET', regex: /\b(?:api[_-]?key|secret|token|password|passwd|pwd|client[_-]?secret)\b["']?\s*[:=]\s*["']?([^\s"',;]{6,})/gid, group: 1 },
+    
+    { type: 'EMAIL', regex: /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,}/g },
+    
+    {
+      type: 'IBAN',
+      regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+      validate: (value) => PIIDetector.isValidIban(value)
+    },
+    {
+      type: 'CARD',
+      regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+      validate: (value) => PIIDetector.passesLuhn(value.replace(/\D/g, ''))
+    },
+    
+    // US SSN, UK National Insurance, Indian Aadhaar, labelled ID numbers
+    { type: 'ID', regex: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+    { type: 'ID', regex: /\b[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g },
+    { type: 'ID', regex: /(?<!\d ?)\b[2-9]\d{3} \d{4} \d{4}\b(?! ?\d)/g },
+    { type: 'ID', regex: /\b(?:passport|national id|id number|id no|tax id|tin|ssn|sin|nin)\b\.?\s*(?:number|no\.?|#)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{5,})/gid, group: 1 },
+    
+    { type: 'IP', regex: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+    { type: 'IP', regex: /(?<![\w:])(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}(?![\w:])/gi },
+    { type: 'IP', regex: /(?<![\w:])(?:[0-9a-f]{1,4}:){1,6}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,5})?(?![\w:])/gi },
+    
+    // Only dates introduced as a birth date; other dates are kept
+    {
+      type: 'DOB',
+      regex: new RegExp(`\\b(?:born(?: on)?|birth ?date|date of birth|d\\.?o\\.?b\\.?|birthday)(?:\\s+(?:is|was))?[\\s:,-]*(${DATE_PATTERN})`, 'gid'),
+      group: 1
+    },
+    
+    // International (+CC / 00CC) and common national formats
+    {
+      type: 'PHONE',
+      regex: /(?<![\w+])(?:\+|00)[1-9]\d{0,2}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}\b/g,
+      validate: (value) => PIIDetector.isPhoneLength(value)
+    },
+    {
+      type: 'PHONE',
+      regex: /(?<![\w+-])(?:\(\d{3}\) ?|\d{3}[ .-])\d{3}[ .-]\d{4}\b/g,
+      validate: (value) => PIIDetector.isPhoneLength(value)
+    },
+    {
+      type: 'PHONE',
+      regex: /(?<![\w+-])0\d{2,4}[ .-]?\d{3,4}[ .-]?\d{3,4}\b/g,
+      validate: (value) => PIIDetector.isPhoneLength(value)
+    },
+    
+    {
+      type: 'ADDRESS',
+      regex: /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][a-z]+\.?\s+){1,4}(?:(?:Street|Avenue|Road|Boulevard|Lane|Drive|Court|Place|Way|Terrace|Parkway|Highway|Square)\b|(?:St|Ave|Rd|Blvd|Ln|Dr|Ct|Pl|Pkwy|Hwy|Sq)\b\.?)(?:,?\s+(?:Apt|Apartment|Suite|Ste|Unit|#)\.?\s*[\w-]+)?(?:,\s+[A-Z][a-z]+(?:\s[A-Z][a-z]+)?(?:,?\s+[A-Z]{2})?(?:\s+\d{5}(?:-\d{4})?)?)?/g
+    },
+    {
+      type: 'ADDRESS',
+      regex: /(?<![\p{L}])\p{Lu}\p{Ll}+(?:straße|strasse|str\.|weg|gasse|platz|allee|laan|straat|gatan|vej|katu)\s+\d{1,4}[a-z]?(?:,\s+\d{4,5}\s+\p{Lu}\p{Ll}+)?/gu
+    },
+    
+    // Names after a title or an introduction
+    { type: 'NAME', regex: new RegExp(`\\b(?:Mr|Mrs|Ms|Mx|Miss|Dr|Prof|Sir|Madam)\\.?\\s+(${NAME_WORD}(?:\\s+${NAME_WORD})?)`, 'gdu'), group: 1 },
+    { type: 'NAME', regex: new RegExp(`\\b(?:[Mm]y name is|[Nn]ame:|[Ss]igned,?|[Rr]egards,|[Ss]incerely,|[Cc]heers,|[Tt]hanks,)\\s+(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})`, 'gdu'), group: 1 }
+  ],
+  
+  /**
+   * Find PII entities in text
+   * @param {string} text - Input text
+   * @param {Object} [options]
+   * @param {Object} [options.types] - Map of entity type to enabled flag (defaults from CONFIG.PII.TYPES)
+   * @param {string[]} [options.names] - Extra names to always treat as names
+   * @param {string[]} [options.alwaysMask] - Terms to mask wherever they appear (case-insensitive)
+   * @returns {Array<{type: string, start: number, end: number, value: string}>} Non-overlapping entities in text order
+   */
+  detect(text, { types = {}, names = [], alwaysMask = [] } = {}) {
+    const enabled = (type) => (types[type] !== undefined ? Boolean(types[type]) : CONFIG.PII.TYPES[type].enabled);
+    const candidates = [];
+    
+    const collect = (rule, priority) => {
+      for (const match of text.matchAll(rule.regex)) {
+        const [start, end] = rule.group ? match.indices[rule.group] : [match.index, match.index + match[0].length];
+        const value = text.slice(start, end);
+        if (rule.validate && !rule.validate(value)) continue;
+        candidates.push({ type: rule.type, start, end, value, priority });
+      }
+    };
+    
+    // The user's own terms outrank every built-in rule
+    const terms = this._termRule(alwaysMask);
+    if (terms && enabled('CUSTOM')) collect(terms, -1);
+    
+    this.RULES.forEach((rule, priority) => {
+      if (enabled(rule.type)) collect(rule, priority);
+    });
+    
+    if (enabled('NAME')) {
+      this._nameRules(names).forEach((rule) => collect(rule, this.RULES.length));
+    }
+    
+    // Highest priority first, then longest; drop anything overlapping a kept match
+    candidates.sort((a, b) => a.priority - b.priority || (b.end - b.start) - (a.end - a.start));
+    const kept = [];
+    candidates.forEach((candidate) => {
+      if (!kept.some((entity) => candidate.start < entity.end && entity.start < candidate.end)) {
+        kept.push(candidate);
+      }
+    });
+    
+    return kept
+      .sort((a, b) => a.start - b.start)
+      .map(({ type, start, end, value }) => ({ type, start, end, value }));
+  },
+  
+  /**
+   * Count entities by type
+   * @param {Array<{type: string}>} entities - Result of detect()
+   * @returns {Object} Map of type to count
+   */
+  count(entities) {
+    return entities.reduce((counts, { type }) => {
+      counts[type] = (counts[type] || 0) + 1;
+      return counts;
+    }, {});
+  },
+  
+  /**
+   * Human-readable summary of entity counts, e.g. "2 emails, 1 card number"
+   * @param {Object} counts - Map of type to count
+   * @returns {string} Summary, empty when nothing was found
+   */
+  describe(counts) {
+    return Object.keys(CONFIG.PII.TYPES)
+      .filter((type) => counts[type] > 0)
+      .map((type) => {
+        const { singular, plural } = CONFIG.PII.TYPES[type];
+        return `${counts[type]} ${counts[type] === 1 ? singular : plural}`;
+      })
+      .join(', ');
+  },
+  
+  /**
+   * Luhn checksum used by payment cards
+   * @param {string} digits - Digits only
+   * @returns {boolean}
+   */
+  passesLuhn(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+    
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  },
+  
+  /**
+   * ISO 13616 mod-97 check
+   * @param {string} value - Candidate IBAN, spaces allowed
+   * @returns {boolean}
+   */
+  isValidIban(value) {
+    const iban = value.replace(/ /g, '');
+    if (iban.length < 15 || iban.length > 34) return false;
+    
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+      for (const digit of code) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+      }
+    }
+    return remainder === 1;
+  },
+  
+  /**
+   * Whether a match has a plausible phone number length (7-15 digits, E.164)
+   * @param {string} value - Candidate number
+   * @returns {boolean}
+   */
+  isPhoneLength(value) {
+    const digits = value.replace(/\D/g, '').length;
+    return digits >= 7 && digits <= 15;
+  },
+  
+  /**
+   * Rule matching always-mask terms as whole words
+   * @private
+   */
+  _termRule(terms) {
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const escaped = terms.map((term) => term.trim()).filter(Boolean).map(escape);
+    if (escaped.length === 0) return null;
+    
+    // Longest first so "Acme Widgets" wins over "Acme"
+    escaped.sort((a, b) => b.length - a.length);
+    return { type: 'CUSTOM', regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'giu') };
+  },
+  
+  /**
+   * Name rules from the built-in first-name dictionary and the user's list
+   * @private
+   */
+  _nameRules(names) {
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const rules = [];
+    
+    const custom = names.map((name) => name.trim()).filter(Boolean).map(escape);
+    if (custom.length > 0) {
+      rules.push({ type: 'NAME', regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${custom.join('|')})(?![\\p{L}\\p{N}])`, 'gu') });
+    }
+    
+    // A known first name, optionally followed by a capitalized surname
+    const firstNames = CONFIG.PII.FIRST_NAMES.join('|');
+    const notSurname = `(?!(?:${CONFIG.PII.NOT_SURNAMES.join('|')})(?![\\p{L}]))`;
+    rules.push({
+      type: 'NAME',
+      regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${firstNames})(?:\\s+${notSurname}${NAME_WORD}){0,2}(?![\\p{L}\\p{N}])`, 'gu')
+    });
+    
+    return rules;
+  }
+};
+
+// ============================================================================
+// PII MASKING MODULE
+// ============================================================================
+
+class PIIMasker {
+  constructor() {
+    this.maskMap = new Map();
+    this.placeholderTypes = new Map();
+    this.occurrences = new Map();
+    this.aliases = new Map();
+    this.counter = 0;
+    this.entities = [];
+  }
+  
+  /**
+   * Reset masker state
+   */
+  reset() {
+    this.maskMap.clear();
+    this.placeholderTypes.clear();
+    this.occurrences.clear();
+    this.aliases.clear();
+    this.counter = 0;
+    this.entities = [];
+  }
+  
+  /**
+   * Mask PII in text
+   * @param {string} text - Input text
+   * @param {boolean} shouldMask - Whether to mask
+   * @param {Object} [options] - Detection options passed to PIIDetector.detect()
+   * @param {Object[]} [options.entities] - Reviewed entities to mask instead of detecting them
+   * @param {string} [options.mode] - 'token' for [[EMAIL_0]] placeholders, 'surrogate' for realistic stand-ins
+   * @returns {string} Masked text
+   */
+  mask(text, shouldMask = true, options = {}) {
+    if (!shouldMask) return text;
+    
+    this.reset();
+    const entities = options.entities || PIIDetector.detect(text, options);
+    const useSurrogates = options.mode === 'surrogate';
+    
+    // Reviewed entities come from the UI: keep them in order and non-overlapping
+    entities
+      .filter((entity) => entity.start >= 0 && entity.end > entity.start && entity.end <= text.length)
+      .sort((a, b) => a.start - b.start)
+      .forEach((entity) => {
+        const previous = this.entities[this.entities.length - 1];
+        if (previous && entity.start < previous.end) return;
+        this.entities.push({ ...entity, value: text.slice(entity.start, entity.end) });
+      });
+    
+    // Repeated values share a placeholder so the model sees them as the same thing
+    const placeholders = new Map();
+    const surrogateCounts = {};
+    let processed = '';
+    let cursor = 0;
+    
+    this.entities.forEach((entity) => {
+      const key = `${entity.type}\u0000${entity.value}`;
+      if (!placeholders.has(key)) {
+        const index = surrogateCounts[entity.type] || 0;
+        const surrogate = useSurrogates ? this._createSurrogate(entity.value, entity.type, index, text) : null;
+        
+        if (surrogate) {
+          surrogateCounts[entity.type] = index + 1;
+          placeholders.set(key, surrogate);
+        } else {
+          placeholders.set(key, this._createToken(entity.value, entity.type));
+        }
+        this.placeholderTypes.set(placeholders.get(key), entity.type);
+      }
+      
+      entity.token = placeholders.get(key);
+      this.occurrences.set(entity.token, (this.occurrences.get(entity.token) || 0) + 1);
+      processed += text.slice(cursor, entity.start) + entity.token;
+      cursor = entity.end;
+    });
+    
+    return processed + text.slice(cursor);
+  }
+  
+  /**
+   * Count of entities masked by the last mask() call, by type
+   * @returns {Object} Map of type to count
+   */
+  getCounts() {
+    return PIIDetector.count(this.entities);
+  }
+  
+  /**
+   * Unmask PII in text
+   * @param {string} text - Text with masks
+   * @returns {string} Unmasked text
+   */
+  unmask(text) {
+    return this.restore(text).text;
+  }
+  
+  /**
+   * Unmask PII, tolerating placeholders the model rewrote ("EMAIL_0",
+   * "[Email 0]", "(email-0)"...) and surrogate names it shortened to a first
+   * or last name, and report placeholders that went missing or appear more
+   * often than in the masked input
+   * @param {string} text - Text with masks
+   * @returns {{text: string, missing: Object[], duplicated: Object[]}} Unmasked text;
+   *   missing/duplicated hold {token, type, value, count} per affected placeholder
+   */
+  restore(text) {
+    const entries = new Map();
+    const byKey = new Map();
+    this.maskMap.forEach((original, token) => {
+      const entry = { token, original, count: 0, expected: this.occurrences.get(token) || 1 };
+      entries.set(token, entry);
+      if (token.startsWith('[[')) {
+        byKey.set(token.replace(/[[\]]/g, ''), entry);
+      }
+    });
+    
+    let restored = PIIMasker.replacePlaceholders(text, Object.keys(CONFIG.PII.TYPES), (key) => {
+      const entry = byKey.get(key);
+      if (!entry) return null;
+      entry.count++;
+      return entry.original;
+    });
+    
+    // Surrogates and their name parts, longest first, in a single pass
+    const replacements = new Map();
+    entries.forEach((entry, token) => {
+      if (!token.startsWith('[[')) replacements.set(token, { entry, original: entry.original });
+    });
+    this.aliases.forEach(({ token, original }, alias) => {
+      replacements.set(alias, { entry: entries.get(token), original });
+    });
+    
+    if (replacements.size > 0) {
+      const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const alternatives = Array.from(replacements.keys()).sort((a, b) => b.length - a.length).map(escape);
+      const surrogatePattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+      
+      restored = restored.replace(surrogatePattern, (match) => {
+        const { entry, original } = replacements.get(match);
+        entry.count++;
+        return original;
+      });
+    }
+    
+    const report = (entry) => ({
+      token: entry.token,
+      type: this.placeholderTypes.get(entry.token),
+      value: entry.original,
+      count: entry.count
+    });
+    const list = Array.from(entries.values());
+    
+    return {
+      text: restored,
+      missing: list.filter((entry) => entry.count === 0).map(report),
+      duplicated: list.filter((entry) => entry.count > entry.expected).map(report)
+    };
+  }
+  
+  /**
+   * Replace placeholders, tolerating the forms models rewrite them into
+   * ("EMAIL_0", "[Email 0]", "(email-0)"...)
+   * @param {string} text - Text with placeholders
+   * @param {string[]} types - Placeholder types to look for, e.g. EMAIL
+   * @param {Function} replace - Called with the canonical key ("EMAIL_0"); returns the
+   *   replacement, or null to leave the match as it is
+   * @returns {string}
+   */
+  static replacePlaceholders(text, types, replace) {
+    const alternatives = types.join('|');
+    const pattern = new RegExp(`([\\[({<]{1,2})\\s*(${alternatives})[\\s_-]?(\\d+)\\s*([\\])}>]{0,2})|\\b(${alternatives})_(\\d+)\\b`, 'gi');
+    
+    return text.replace(pattern, (match, open, type, number, close, bareType, bareNumber) => {
+      // Bare placeholders only count in their exact upper-case form
+      if (bareType && bareType !== bareType.toUpperCase()) return match;
+      
+      const value = replace(`${(type || bareType).toUpperCase()}_${number || bareNumber}`);
+      if (value === null || value === undefined) return match;
+      
+      if (bareType) return value;
+      
+      // "([EMAIL_0])": only the inner run of matching brackets belongs to the token
+      const depth = open.length === 2 && PIIMasker._bracketPair(open[0]) === PIIMasker._bracketPair(open[1]) ? 2 : 1;
+      return open.slice(0, open.length - depth) + value + close.slice(depth);
+    });
+  }
+  
+  /**
+   * Status warning for an incomplete restoration
+   * @param {{missing: Object[], duplicated: Object[]}|null} restoration - Result of restore()
+   * @returns {string} Warning, empty when every token came back exactly once
+   */
+  static describeRestoration(restoration) {
+    if (!restoration) return '';
+    
+    const label = ({ type, value }) => `${type === Glossary.TYPE ? 'glossary term' : CONFIG.PII.TYPES[type]?.singular || type} "${value}"`;
+    const parts = [];
+    
+    if (restoration.missing.length > 0) {
+      parts.push(`the model dropped ${restoration.missing.map(label).join(', ')}`);
+    }
+    if (restoration.duplicated.length > 0) {
+      parts.push(`repeated ${restoration.duplicated.map((entry) => `${label(entry)} (${entry.count}×)`).join(', ')}`);
+    }
+    
+    const hasTerms = [...restoration.missing, ...restoration.duplicated].some(({ type }) => type === Glossary.TYPE);
+    return parts.length > 0 ? `${hasTerms ? 'Restoration' : 'PII restoration'} incomplete: ${parts.join('; ')}.` : '';
+  }
+  
+  /**
+   * Create and store mask token
+   * @param {string} original - Original value
+   * @param {string} prefix - Token prefix
+   * @returns {string} Mask token
+   */
+  _createToken(original, prefix) {
+    // Doubled brackets survive rewriting better than single ones
+    const token = `[[${prefix}_${this.counter++}]]`;
+    this.maskMap.set(token, original);
+    return token;
+  }
+  
+  /**
+   * Realistic stand-in for an entity, reversible through maskMap
+   * @private
+   * @returns {string|null} Surrogate, or null when the type keeps a token
+   */
+  _createSurrogate(original, type, index, text) {
+    const { FIRST_NAMES, LAST_NAMES, STREETS } = CONFIG.PII.SURROGATES;
+    const lower = text.toLowerCase();
+    const taken = (value) => lower.includes(value.toLowerCase());
+    const pick = (list, i) => list[i % list.length];
+    
+    // Walk the candidate sequence until one collides with nothing in the document;
+    // for names, each part must be unused so "Alex" alone stays unambiguous
+    const generate = (build, byWord = false) => {
+      for (let attempt = index; attempt < index + 200; attempt++) {
+        const candidate = build(attempt);
+        const parts = byWord ? candidate.split(' ') : [candidate];
+        if (!this.maskMap.has(candidate) && !parts.some(taken)) return candidate;
+      }
+      return null;
+    };
+    
+    let surrogate = null;
+    switch (type) {
+      case 'NAME': {
+        const words = original.trim().split(/\s+/);
+        surrogate = generate((i) => {
+          const first = pick(FIRST_NAMES, i);
+          return words.length > 1 ? `${first} ${pick(LAST_NAMES, i * 7 + 3)}` : first;
+        }, true);
+        if (surrogate) this._registerNameAliases(surrogate, words, text);
+        break;
+      }
+      case 'EMAIL':
+        surrogate = generate((i) => `${pick(FIRST_NAMES, i)}.${pick(LAST_NAMES, i * 7 + 3)}@example.com`.toLowerCase());
+        break;
+      case 'PHONE': {
+        const international = /^(?:\+|00)/.test(original.trim());
+        surrogate = generate((i) => `${international ? '+1 ' : ''}555-01${String(i % 100).padStart(2, '0')}`);
+        
+        // The model may drop the country code
+        if (surrogate && international) {
+          this.aliases.set(surrogate.slice(3), { token: surrogate, original });
+        }
+        break;
+      }
+      case 'IP':
+        surrogate = original.includes(':')
+          ? generate((i) => `2001:db8::${(i + 1).toString(16)}`)
+          : generate((i) => `192.0.2.${(i % 250) + 1}`);
+        break;
+      case 'URL':
+        surrogate = generate((i) => `https://example.com/link-${i + 1}`);
+        break;
+      case 'ADDRESS':
+        surrogate = generate((i) => `${12 + i * 10} ${pick(STREETS, i)}`);
+        break;
+      default:
+        return null;
+    }
+    
+    if (surrogate) {
+      this.maskMap.set(surrogate, original);
+    }
+    return surrogate;
+  }
+  
+  /**
+   * Map a surrogate's first and last name back to the original's, so
+   * "Alex" alone still restores when the model drops the surname
+   * @private
+   */
+  _registerNameAliases(surrogate, words, text) {
+    const parts = surrogate.split(' ');
+    if (parts.length < 2 || words.length < 2) return;
+    
+    const pairs = [[parts[0], words[0]], [parts[parts.length - 1], words[words.length - 1]]];
+    pairs.forEach(([alias, original]) => {
+      if (this.aliases.has(alias) || text.includes(alias)) return;
+      this.aliases.set(alias, { token: surrogate, original });
+    });
+  }
+  
+  /**
+   * Normalize an opening or closing bracket to its pair
+   * @private
+   */
+  static _bracketPair(char) {
+    return { '[': '[]', ']': '[]', '(': '()', ')': '()', '{': '{}', '}': '{}', '<': '<>', '>': '<>' }[char];
+  }
+}
+
+// ============================================================================
+// GLOSSARY MODULE
+// ============================================================================
+
+/**
+ * User glossary. Protected terms (case-sensitive text or regexes) are swapped
+ * for [[TERM_n]] placeholders before the model sees the text and put back
+ * afterwards; entries with a replacement ("log in" => "sign in") are named in
+ * the prompt and enforced on the result, in any case unless marked
+ * case-sensitive.
+ */
+const Glossary = {
+  // Placeholder type for protected terms
+  TYPE: 'TERM',
+  
+  // Spans a term must not be found inside: placeholders, inline code and URLs
+  KEPT_PATTERN: /(\[\[\/?[A-Z]+_\d+\]\]|`+[^`]*`+|https?:\/\/\S+)/,
+  
+  /**
+   * Swap protected terms for placeholders
+   * @param {string} text - Text to send (already PII-masked)
+   * @param {Array<{term: string, regex: boolean, replacement: string, caseSensitive: boolean}>} [entries] - Glossary entries
+   * @returns {{text: string, terms: Map<string, string>}} Text with placeholders, and placeholder => original term
+   */
+  lock(text, entries = []) {
+    const terms = new Map();
+    const tokens = new Map();
+    
+    // Longer terms first, so "Acme Cloud Pro" wins over "Acme Cloud"
+    const patterns = entries
+      .filter((entry) => !entry.replacement)
+      .sort((a, b) => b.term.length - a.term.length)
+      .map((entry) => this._compile(entry))
+      .filter(Boolean);
+    
+    let result = text;
+    patterns.forEach((pattern) => {
+      result = this._replaceOutsideKept(result, pattern, (match) => {
+        if (!tokens.has(match)) {
+          const token = `[[${this.TYPE}_${tokens.size}]]`;
+          tokens.set(match, token);
+          terms.set(token, match);
+        }
+        return tokens.get(match);
+      });
+    });
+    
+    return { text: result, terms };
+  },
+  
+  /**
+   * Put protected terms back
+   * @param {string} text - Model output
+   * @param {{text: string, terms: Map<string, string>}} locked - Result of lock()
+   * @returns {string}
+   */
+  unlock(text, locked) {
+    return this.restore(text, locked).text;
+  },
+  
+  /**
+   * Put protected terms back, tolerating placeholders the model rewrote
+   * ("TERM_0", "[Term 0]"...), and report terms that went missing or appear
+   * more often than in the locked text
+   * @param {string} text - Model output
+   * @param {{text: string, terms: Map<string, string>}} locked - Result of lock()
+   * @returns {{text: string, missing: Object[], duplicated: Object[]}} Same shape as PIIMasker.restore()
+   */
+  restore(text, locked) {
+    if (!text || !locked?.terms.size) return { text, missing: [], duplicated: [] };
+    
+    const entries = new Map();
+    locked.terms.forEach((original, token) => {
+      const expected = locked.text.split(token).length - 1;
+      entries.set(token.replace(/[[\]]/g, ''), { token, original, count: 0, expected });
+    });
+    
+    const restored = PIIMasker.replacePlaceholders(text, [this.TYPE], (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entry.count++;
+      return entry.original;
+    });
+    
+    const report = (entry) => ({ token: entry.token, type: this.TYPE, value: entry.original, count: entry.count });
+    const list = Array.from(entries.values());
+    
+    return {
+      text: restored,
+      missing: list.filter((entry) => entry.count === 0).map(report),
+      duplicated: list.filter((entry) => entry.count > entry.expected).map(report)
+    };
+  },
+  
+  /**
+   * Apply the preferred replacements to a result, changing nothing else; matches
+   * ignore case and the replacement takes the case of the text it replaces
+   * ("Log in" => "Sign in"), unless the entry is case-sensitive
+   * @param {string} text - Result text
+   * @param {Array<{term: string, regex: boolean, replacement: string, caseSensitive: boolean}>} [entries] - Glossary entries
+   * @returns {{text: string, applied: number}}
+   */
+  enforce(text, entries = []) {
+    let applied = 0;
+    let result = text;
+    
+    entries
+      .filter((entry) => entry.replacement)
+      .sort((a, b) => b.term.length - a.term.length)
+      .forEach((entry) => {
+        const pattern = this._compile(entry, !entry.caseSensitive);
+        if (!pattern) return;
+        
+        result = this._replaceOutsideKept(result, pattern, (match) => {
+          const replacement = entry.caseSensitive ? entry.replacement : PostProcessor.matchCase(match, entry.replacement);
+          if (match === replacement) return match;
+          applied++;
+          return replacement;
+        });
+      });
+    
+    return { text: result, applied };
+  },
+  
+  /**
+   * Prompt line naming the preferred wording, so the model uses it from the start
+   * @param {Array<{term: string, regex: boolean, replacement: string, caseSensitive: boolean}>} [entries] - Glossary entries
+   * @returns {string} Empty without plain-text replacements
+   */
+  promptRule(entries = []) {
+    const rules = entries
+      .filter((entry) => entry.replacement && !entry.regex)
+      .slice(0, CONFIG.GLOSSARY.MAX_PROMPT_RULES)
+      .map((entry) => `"${entry.replacement}" (not "${entry.term}")`);
+    
+    return rules.length ? `\n- Glossary: always write ${rules.join(', ')}` : '';
+  },
+  
+  /**
+   * Replace matches of a pattern, skipping placeholders, inline code and URLs
+   * @private
+   */
+  _replaceOutsideKept(text, pattern, replace) {
+    return text.split(this.KEPT_PATTERN)
+      .map((part, index) => (index % 2 === 1 ? part : part.replace(pattern, (match) => (match ? replace(match) : match))))
+      .join('');
+  },
+  
+  /**
+   * Global regex for a term, case-sensitive unless asked otherwise; plain terms match whole words
+   * @private
+   */
+  _compile(entry, ignoreCase = false) {
+    const flag = ignoreCase ? 'i' : '';
+    try {
+      if (entry.regex) return new RegExp(entry.term, `g${flag}`);
+      
+      const escaped = entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, `gu${flag}`);
+    } catch (error) {
+      console.warn('Invalid glossary term:', entry.term, error);
+      return null;
+    }
+  }
+};
+
+// ============================================================================
+// TEXT DIFF MODULE
+// ============================================================================
+
+const TextDiff = {
+  // Above this many LCS cells the changed middle is reported as one replace
+  MAX_CELLS: 4000000,
+  
+  // A deletion and an insertion this similar count as a moved sentence
+  MOVE_SIMILARITY: 0.7,
+  MIN_MOVE_WORDS: 3,
+  
+  /**
+   * Word-level diff between two texts
+   * @param {string} oldText - Original text
+   * @param {string} newText - Changed text
+   * @returns {Array<{type: string, text: string}>} Ops of type 'equal', 'insert' or 'delete'
+   */
+  diffWords(oldText, newText) {
+    return this.diffTokens(this.tokenize(oldText || ''), this.tokenize(newText || ''));
+  },
+  
+  /**
+   * Group a word diff into reviewable changes, linking moved sentences
+   * @param {string} oldText - Original text
+   * @param {string} newText - Changed text
+   * @returns {Array<Object>} Segments: {type: 'equal', text} or
+   *   {type: 'change', id, deleted, inserted, movedWith, accepted}
+   */
+  changes(oldText, newText) {
+    const segments = [];
+    let current = null;
+    
+    this.diffWords(oldText, newText).forEach((op) => {
+      if (op.type === 'equal') {
+        current = null;
+        segments.push({ type: 'equal', text: op.text });
+        return;
+      }
+      
+      if (!current) {
+        current = { type: 'change', id: segments.length, deleted: '', inserted: '', movedWith: null, accepted: true };
+        segments.push(current);
+      }
+      
+      if (op.type === 'delete') {
+        current.deleted += op.text;
+      } else {
+        current.inserted += op.text;
+      }
+    });
+    
+    this._linkMoves(segments.filter((segment) => segment.type === 'change'));
+    return segments;
+  },
+  
+  /**
+   * Build text from segments, taking each change's new or old side
+   * @param {Array<Object>} segments - Segments from changes()
+   * @returns {string} Merged text
+   */
+  merge(segments) {
+    return segments.map((segment) => {
+      if (segment.type === 'equal') return segment.text;
+      return segment.accepted ? segment.inserted : segment.deleted;
+    }).join('');
+  },
+  
+  /**
+   * Pair a pure deletion with a pure insertion of (nearly) the same sentence
+   * @private
+   */
+  _linkMoves(changes) {
+    const words = (text) => text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    const similarity = (a, b) => {
+      const counts = new Map();
+      a.forEach((word) => counts.set(word, (counts.get(word) || 0) + 1));
+      
+      let shared = 0;
+      b.forEach((word) => {
+        if (counts.get(word) > 0) {
+          shared++;
+          counts.set(word, counts.get(word) - 1);
+        }
+      });
+      return shared / Math.max(a.length, b.length);
+    };
+    
+    const insertions = changes
+      .filter((change) => change.inserted && !change.deleted)
+      .map((change) => ({ change, words: words(change.inserted) }))
+      .filter(({ words: list }) => list.length >= this.MIN_MOVE_WORDS);
+    
+    changes.forEach((change) => {
+      if (!change.deleted || change.inserted) return;
+      
+      const deletedWords = words(change.deleted);
+      if (deletedWords.length < this.MIN_MOVE_WORDS) return;
+      
+      let best = null;
+      let bestScore = this.MOVE_SIMILARITY;
+      
+      insertions.forEach((candidate) => {
+        if (candidate.change.movedWith !== null) return;
+        const score = similarity(deletedWords, candidate.words);
+        if (score >= bestScore) {
+          best = candidate.change;
+          bestScore = score;
+        }
+      });
+      
+      if (best) {
+        change.movedWith = best.id;
+        best.movedWith = change.id;
+      }
+    });
+  },
+  
+  /**
+   * Split text into words carrying their trailing whitespace
+   * @param {string} text - Input text
+   * @returns {string[]} Tokens
+   */
+  tokenize(text) {
+    const leading = text.match(/^\s+/);
+    const words = text.match(/\S+\s*/g) || [];
+    return leading ? [leading[0], ...words] : words;
+  },
+  
+  /**
+   * Diff two token lists, comparing tokens without their whitespace
+   * @param {string[]} a - Original tokens
+   * @param {string[]} b - Changed tokens
+   * @returns {Array<{type: string, text: string}>} Merged ops
+   */
+  diffTokens(a, b) {
+    const key = (token) => token.trim();
+    const ops = [];
+    
+    // Trim the common prefix and suffix before the quadratic part
+    let start = 0;
+    while (start < a.length && start < b.length && key(a[start]) === key(b[start])) start++;
+    
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && key(a[endA - 1]) === key(b[endB - 1])) {
+      endA--;
+      endB--;
+    }
+    
+    b.slice(0, start).forEach((token) => ops.push({ type: 'equal', text: token }));
+    
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    
+    if ((midA.length + 1) * (midB.length + 1) > this.MAX_CELLS) {
+      midA.forEach((token) => ops.push({ type: 'delete', text: token }));
+      midB.forEach((token) => ops.push({ type: 'insert', text: token }));
+    } else {
+      ops.push(...this._lcs(midA, midB, key));
+    }
+    
+    b.slice(endB).forEach((token) => ops.push({ type: 'equal', text: token }));
+    
+    return this._merge(ops);
+  },
+  
+  /**
+   * Longest-common-subsequence diff
+   * @private
+   */
+  _lcs(a, b, key) {
+    const n = a.length;
+    const m = b.length;
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = key(a[i]) === key(b[j])
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+    
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    
+    while (i < n && j < m) {
+      if (key(a[i]) === key(b[j])) {
+        ops.push({ type: 'equal', text: b[j] });
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        ops.push({ type: 'delete', text: a[i++] });
+      } else {
+        ops.push({ type: 'insert', text: b[j++] });
+      }
+    }
+    
+    while (i < n) ops.push({ type: 'delete', text: a[i++] });
+    while (j < m) ops.push({ type: 'insert', text: b[j++] });
+    
+    return ops;
+  },
+  
+  /**
+   * Merge consecutive ops of the same type
+   * @private
+   */
+  _merge(ops) {
+    return ops.reduce((merged, op) => {
+      const last = merged[merged.length - 1];
+      if (last && last.type === op.type) {
+        last.text += op.text;
+      } else {
+        merged.push({ ...op });
+      }
+      return merged;
+    }, []);
+  }
+};
+
+// ============================================================================
+// TEXT ANALYSIS MODULE
+// ============================================================================
+
+/**
+ * Local readability metrics and "AI tell" detection. English heuristics:
+ * syllables are estimated from vowel groups and passive voice from
+ * "to be" + past participle.
+ */
+const TextAnalyzer = {
+  // Irregular past participles the -ed rule misses
+  IRREGULAR_PARTICIPLES: [
+    'been', 'born', 'bought', 'brought', 'built', 'caught', 'chosen', 'done', 'drawn', 'driven',
+    'eaten', 'fallen', 'felt', 'found', 'forgotten', 'given', 'gone', 'held', 'hidden', 'kept',
+    'known', 'laid', 'led', 'left', 'lost', 'made', 'meant', 'met', 'paid', 'put', 'read', 'run',
+    'said', 'seen', 'sent', 'set', 'shown', 'sold', 'spent', 'spoken', 'stolen', 'taken', 'taught',
+    'told', 'thought', 'understood', 'won', 'written', 'broken', 'begun', 'grown', 'thrown', 'worn'
+  ],
+  
+  /**
+   * Analyze text
+   * @param {string} text - Text to analyze (code blocks are ignored)
+   * @returns {Object} {words, sentences, readingEase, gradeLevel, avgSentenceLength, burstiness,
+   *   passiveRatio, emDashesPer100, emDashOveruse, tells: [{term, count}], tellCount,
+   *   repeatedPhrases: [{phrase, count}]}; ratios are percentages
+   */
+  analyze(text) {
+    const prose = MarkdownStructure.parse(String(text || ''))
+      .filter((block) => !['code', 'table', 'blank', 'rule'].includes(block.type))
+      .map((block) => (block.prefix ? block.content : block.raw.replace(/^\s*#+\s*/, '')))
+      .join('\n');
+    
+    const words = this._words(prose);
+    const sentences = this._sentences(prose);
+    const lengths = sentences.map((sentence) => this._words(sentence).length).filter((length) => length > 0);
+    
+    const wordCount = words.length;
+    const sentenceCount = Math.max(lengths.length, wordCount ? 1 : 0);
+    const syllables = words.reduce((sum, word) => sum + this.countSyllables(word), 0);
+    
+    const wordsPerSentence = sentenceCount ? wordCount / sentenceCount : 0;
+    const syllablesPerWord = wordCount ? syllables / wordCount : 0;
+    
+    const mean = lengths.length ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0;
+    const variance = lengths.length ? lengths.reduce((sum, length) => sum + (length - mean) ** 2, 0) / lengths.length : 0;
+    
+    const passive = sentences.filter((sentence) => this.isPassive(sentence)).length;
+    const emDashes = (prose.match(/—|(?<=\S) ?-- ?(?=\S)/g) || []).length;
+    const emDashesPer100 = wordCount ? (emDashes / wordCount) * 100 : 0;
+    const tells = this.findTells(prose);
+    
+    return {
+      words: wordCount,
+      sentences: sentenceCount,
+      readingEase: wordCount ? this._round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord) : 0,
+      gradeLevel: wordCount ? this._round(Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)) : 0,
+      avgSentenceLength: this._round(mean),
+      burstiness: mean ? this._round((Math.sqrt(variance) / mean) * 100) : 0,
+      passiveRatio: sentenceCount ? this._round((passive / sentenceCount) * 100) : 0,
+      emDashesPer100: this._round(emDashesPer100),
+      emDashOveruse: emDashesPer100 > CONFIG.ANALYSIS.EM_DASHES_PER_100_WORDS,
+      tells,
+      tellCount: tells.reduce((sum, tell) => sum + tell.count, 0),
+      repeatedPhrases: this.repeatedPhrases(words)
+    };
+  },
+  
+  /**
+   * Estimate syllables in an English word
+   * @param {string} word - Single word
+   * @returns {number} At least 1
+   */
+  countSyllables(word) {
+    const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!cleaned) return 1;
+    if (cleaned.length <= 3) return 1;
+    
+    const trimmed = cleaned
+      .replace(/(?:[^laeiouy]es|(?<![td])ed|[^laeiouy]e)$/, '')
+      .replace(/^y/, '');
+    const groups = trimmed.match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 1);
+  },
+  
+  /**
+   * Whether a sentence looks passive ("was written", "are being reviewed")
+   * @param {string} sentence - Sentence
+   * @returns {boolean}
+   */
+  isPassive(sentence) {
+    const pattern = /\b(?:am|is|are|was|were|be|been|being|get|gets|got|gotten)\s+(?:\w+ly\s+)?(\w+)\b/gi;
+    let match;
+    
+    while ((match = pattern.exec(sentence)) !== null) {
+      const word = match[1].toLowerCase();
+      if ((/[^e]ed$|ied$|eed$/.test(word) && word.length > 4) || this.IRREGULAR_PARTICIPLES.includes(word)) {
+        return true;
+      }
+    }
+    return false;
+  },
+  
+  /**
+   * Count typical LLM phrases
+   * @param {string} text - Text
+   * @returns {Array<{term: string, count: number}>} Found tells, most frequent first
+   */
+  findTells(text) {
+    const normalized = text.replace(/[‘’]/g, '\'');
+    
+    return CONFIG.ANALYSIS.TELLS
+      .map((term) => {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const pattern = new RegExp(`(?<![\\p{L}-])${escaped}(?:s|es|d|ed|ing|ings)?(?![\\p{L}-])`, 'giu');
+        return { term, count: (normalized.match(pattern) || []).length };
+      })
+      .filter((tell) => tell.count > 0)
+      .sort((a, b) => b.count - a.count);
+  },
+  
+  /**
+   * Phrases of at least NGRAM_SIZE words that occur more than once; overlapping
+   * repeated n-grams are merged into the longest run
+   * @param {string[]} words - Words in order
+   * @returns {Array<{phrase: string, count: number}>} Most frequent first
+   */
+  repeatedPhrases(words) {
+    const { NGRAM_SIZE, MAX_NGRAMS } = CONFIG.ANALYSIS;
+    const lower = words.map((word) => word.toLowerCase());
+    const ngram = (i) => lower.slice(i, i + NGRAM_SIZE).join(' ');
+    const counts = new Map();
+    
+    for (let i = 0; i + NGRAM_SIZE <= lower.length; i++) {
+      counts.set(ngram(i), (counts.get(ngram(i)) || 0) + 1);
+    }
+    
+    const phrases = new Map();
+    for (let i = 0; i + NGRAM_SIZE <= lower.length; i++) {
+      if (counts.get(ngram(i)) < 2) continue;
+      
+      let end = i;
+      let count = counts.get(ngram(i));
+      while (end + 1 + NGRAM_SIZE <= lower.length && counts.get(ngram(end + 1)) > 1) {
+        end++;
+        count = Math.min(count, counts.get(ngram(end)));
+      }
+      
+      const phrase = lower.slice(i, end + NGRAM_SIZE).join(' ');
+      phrases.set(phrase, Math.max(count, phrases.get(phrase) || 0));
+      i = end;
+    }
+    
+    return Array.from(phrases, ([phrase, count]) => ({ phrase, count }))
+      .sort((a, b) => b.count - a.count || b.phrase.length - a.phrase.length)
+      .slice(0, MAX_NGRAMS);
+  },
+  
+  /**
+   * Words without surrounding punctuation
+   * @private
+   */
+  _words(text) {
+    return (text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []);
+  },
+  
+  /**
+   * Split into sentences at terminal punctuation and line breaks
+   * @private
+   */
+  _sentences(text) {
+    return text
+      .split(/(?<=[.!?])["')\]]*\s+|\n+/)
+      .map((sentence) => sentence.trim())
+      .filter(Boolean);
+  },
+  
+  /**
+   * Round to one decimal
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 10) / 10;
+  }
+};
+
+// ============================================================================
+// VOICE PROFILE MODULE
+// ============================================================================
+
+/**
+ * Turns a user's writing samples into prompt guidance: a compact style summary
+ * measured locally and/or a short excerpt to imitate. Contraction, pronoun and
+ * grade-level traits are only described for English samples.
+ */
+const VoiceProfiler = {
+  // Words that make a sentence-opening conjunction ("And so we left.")
+  CONJUNCTION_OPENERS: /^(?:and|but|so|or|yet)\b/i,
+  CONTRACTIONS: /\b\w+(?:n['’]t|['’](?:re|ve|ll|m|d))\b/gi,
+  
+  /**
+   * Prompt guidance for a profile
+   * @param {{name: string, samples: string[]}|null} profile - Profile from StateManager.loadVoiceProfiles()
+   * @param {string} [mode] - Key of CONFIG.VOICE_MODES
+   * @returns {{name: string, summary: string, excerpt: string}|null} Null without usable samples
+   */
+  guidance(profile, mode = 'summary') {
+    const samples = (profile?.samples || []).filter((sample) => sample.trim());
+    if (!samples.length) return null;
+    
+    return {
+      name: profile.name,
+      summary: mode === 'excerpt' ? '' : this.summarize(samples),
+      excerpt: mode === 'summary' ? '' : this.excerpt(samples)
+    };
+  },
+  
+  /**
+   * Compact style summary, one trait per line
+   * @param {string[]} samples - Writing samples
+   * @returns {string} Lines starting with "- ", empty for samples without words
+   */
+  summarize(samples) {
+    const text = samples.join('\n\n');
+    const stats = TextAnalyzer.analyze(text);
+    if (!stats.words) return '';
+    
+    const traits = [];
+    const sentences = TextAnalyzer._sentences(text);
+    const share = (count) => (sentences.length ? count / sentences.length : 0);
+    const per100 = (count) => (count / stats.words) * 100;
+    const count = (pattern) => (text.match(pattern) || []).length;
+    
+    let rhythm = 'keeps sentences about the same length';
+    if (stats.burstiness >= 60) rhythm = 'mixes very short sentences with long ones';
+    else if (stats.burstiness >= 35) rhythm = 'varies sentence length';
+    traits.push(`Sentences average ${Math.round(stats.avgSentenceLength)} words; the author ${rhythm}`);
+    
+    const paragraphs = text.trim().split(/\n[ \t]*\n\s*/).length;
+    const perParagraph = Math.round(sentences.length / paragraphs);
+    traits.push(perParagraph <= 2 ? 'Short paragraphs of one or two sentences' : `Paragraphs of about ${perParagraph} sentences`);
+    
+    if (LanguageDetector.detect(text) === 'en') {
+      traits.push(`Reading level around US grade ${Math.round(stats.gradeLevel)}`);
+      
+      const contractions = per100(count(this.CONTRACTIONS));
+      if (contractions >= 1.5) traits.push('Uses contractions freely ("don\'t", "it\'s")');
+      else if (contractions < 0.3) traits.push('Avoids contractions');
+      
+      const firstPerson = per100(count(/\b(?:I|[Mm]e|[Mm]y|[Mm]ine)\b/g));
+      const plural = per100(count(/\b(?:we|us|our|ours)\b/gi));
+      const reader = per100(count(/\b(?:you|your|yours)\b/gi));
+      if (firstPerson >= 1) traits.push('Writes in the first person ("I")');
+      else if (plural >= 1) traits.push('Writes as "we"');
+      if (reader >= 1) traits.push('Speaks to the reader directly as "you"');
+      
+      if (share(sentences.filter((sentence) => this.CONJUNCTION_OPENERS.test(sentence)).length) >= 0.05) {
+        traits.push('Sometimes starts sentences with "And", "But" or "So"');
+      }
+      if (stats.passiveRatio < 5) traits.push('Almost always uses the active voice');
+    }
+    
+    const questions = share(sentences.filter((sentence) => /\?["')\]]*$/.test(sentence)).length);
+    const exclamations = share(sentences.filter((sentence) => /!["')\]]*$/.test(sentence)).length);
+    if (questions >= 0.1) traits.push('Asks the reader questions');
+    if (exclamations >= 0.05) traits.push('Uses exclamation marks');
+    else if (!exclamations) traits.push('Never uses exclamation marks');
+    
+    if (stats.emDashesPer100 >= 0.5) traits.push('Uses dashes for asides');
+    else if (!stats.emDashesPer100) traits.push('Does not use em dashes');
+    if (per100(count(/;/g)) >= 0.5) traits.push('Uses semicolons');
+    if (per100(count(/\([^)]{3,}\)/g)) >= 0.5) traits.push('Adds asides in parentheses');
+    
+    return traits.map((trait) => `- ${trait}`).join('\n');
+  },
+  
+  /**
+   * Few-shot excerpt: whole paragraphs taken in turn from each sample, so it
+   * shows the author's range, within a word budget
+   * @param {string[]} samples - Writing samples
+   * @param {number} [maxWords] - Word budget
+   * @returns {string}
+   */
+  excerpt(samples, maxWords = CONFIG.VOICE.EXCERPT_WORDS) {
+    const lists = samples.map((sample) => sample.trim().split(/\n[ \t]*\n\s*/)
+      .filter((paragraph) => TextUtils.countWords(paragraph) >= CONFIG.VOICE.MIN_PARAGRAPH_WORDS));
+    const longest = Math.max(0, ...lists.map((list) => list.length));
+    const picked = [];
+    let words = 0;
+    
+    for (let i = 0; i < longest; i++) {
+      lists.forEach((list) => {
+        const paragraph = list[i];
+        if (!paragraph) return;
+        
+        const count = TextUtils.countWords(paragraph);
+        if (words + count <= maxWords) {
+          picked.push(paragraph);
+          words += count;
+        } else if (!picked.length) {
+          picked.push(this._truncate(paragraph, maxWords));
+          words = maxWords;
+        }
+      });
+    }
+    
+    // Samples made only of short lines (notes, posts) still give an excerpt
+    if (!picked.length) {
+      return this._truncate(samples.join('\n'), maxWords);
+    }
+    return picked.join('\n\n');
+  },
+  
+  /**
+   * Cut text to whole sentences within a word budget
+   * @private
+   */
+  _truncate(text, maxWords) {
+    const sentences = text.trim().split(/(?<=[.!?])\s+/);
+    let result = '';
+    
+    for (const sentence of sentences) {
+      const next = result ? `${result} ${sentence}` : sentence;
+      if (TextUtils.countWords(next) > maxWords) break;
+      result = next;
+    }
+    
+    // A first sentence over the budget is cut mid-way
+    return result || `${text.trim().split(/\s+/).slice(0, maxWords).join(' ')}...`;
+  }
+};
+
+// ============================================================================
+// FACT CHECK MODULE
+// ============================================================================
+
+/**
+ * Finds facts in the input (dates, money, percentages, numbers, quotes and
+ * proper nouns) that the output lost or changed. Matching is by normalized
+ * value, so "March 5, 2024" and "5 March 2024" count as the same date.
+ */
+const FactChecker = {
+  // Fact patterns, most specific first; later patterns skip text an earlier one claimed
+  PATTERNS: [
+    { type: 'quote', regex: /["“]([^"“”\n]{2,200})["”]/g },
+    { type: 'date', regex: new RegExp(`${DATE_PATTERN}|\\b${MONTH_PATTERN}\\s+(?:\\d{1,2}(?:st|nd|rd|th)?\\b|\\d{4}\\b)`, 'gi') },
+    { type: 'money', regex: /[$€£¥₹]\s?\d[\d,.]*(?:\s?(?:k|m|bn|thousand|million|billion)\b)?|\b\d[\d,.]*\s?(?:k|m|bn|thousand|million|billion)?\s?(?:USD|EUR|GBP|dollars?|euros?|pounds?)\b/gi },
+    { type: 'percent', regex: /\b\d+(?:[.,]\d+)?\s?(?:%|percent\b|per cent\b)/gi },
+    { type: 'number', regex: /\b\d+(?:[.,]\d+)*\b/g },
+    { type: 'name', regex: /\p{Lu}[\p{L}\p{N}'’&-]*(?:[ \t]+(?:of[ \t]+|de[ \t]+|van[ \t]+)?\p{Lu}[\p{L}\p{N}'’&-]*)*/gu }
+  ],
+  
+  // Types that read the same after a translation
+  NUMERIC_TYPES: ['money', 'percent', 'number'],
+  
+  // Capitalized words that are not names on their own
+  NOT_NAMES: ['I', "I'm", "I've", "I'll", "I'd", 'I’m', 'I’ve', 'I’ll', 'I’d', 'OK'],
+  
+  CURRENCIES: { usd: '$', dollar: '$', dollars: '$', eur: '€', euro: '€', euros: '€', gbp: '£', pound: '£', pounds: '£' },
+  
+  // Number words the model may spell out instead of digits
+  NUMBER_WORDS: [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'
+  ],
+  ORDINAL_WORDS: [
+    '', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'
+  ],
+  
+  /**
+   * Facts in text, in order
+   * @param {string} text - Text to scan
+   * @returns {Array<{type: string, value: string, key: string, start: number, end: number}>}
+   */
+  extract(text) {
+    // URLs, inline code and placeholders are checked elsewhere; blank them out, keeping offsets
+    const scan = String(text || '').replace(/https?:\/\/\S+|`[^`\n]*`|\[\[[^\]\n]*\]\]/g, (match) => ' '.repeat(match.length));
+    const claimed = [];
+    const facts = [];
+    
+    this.PATTERNS.forEach(({ type, regex }) => {
+      for (const match of scan.matchAll(regex)) {
+        let value = match[0].trim();
+        let start = match.index;
+        
+        if (type === 'name') {
+          ({ value, start } = this._trimName(scan, value, start));
+          if (!value) continue;
+        }
+        
+        const end = start + value.length;
+        if (claimed.some(([from, to]) => start < to && end > from)) continue;
+        
+        claimed.push([start, end]);
+        facts.push({ type, value, key: this.key(type, value), start, end });
+      }
+    });
+    
+    return facts.sort((a, b) => a.start - b.start);
+  },
+  
+  /**
+   * Normalized form of a fact, equal for equivalent ways of writing it
+   * @param {string} type - Fact type
+   * @param {string} value - Fact as written
+   * @returns {string}
+   */
+  key(type, value) {
+    const number = (text) => (text.match(/\d+(?:[.,]\d+)*/) || [''])[0].replace(/,(?=\d{3}\b)/g, '').replace(',', '.');
+    
+    switch (type) {
+      case 'quote':
+        return `quote:${this._normalizeQuote(value)}`;
+      case 'date':
+        return `date:${this._dateKey(value)}`;
+      case 'money': {
+        const symbol = (value.match(/[$€£¥₹]/) || [])[0]
+          || this.CURRENCIES[(value.match(/[a-z]+$/i) || [''])[0].toLowerCase()] || '';
+        const scale = (value.match(/\d\s?(k|m|bn|thousand|million|billion)\b/i) || ['', ''])[1].toLowerCase();
+        const scales = { k: 'thousand', m: 'million', bn: 'billion' };
+        return `money:${symbol}${number(value)}${scales[scale] || scale}`;
+      }
+      case 'percent':
+        return `percent:${number(value)}`;
+      case 'number':
+        return `number:${number(value)}`;
+      default:
+        return `${type}:${value}`;
+    }
+  },
+  
+  /**
+   * Input facts that are missing from the output, or changed in it. When the
+   * output is in another language only numbers, money and percentages are checked.
+   * @param {string} input - Original text
+   * @param {string} output - Rewritten text
+   * @returns {Array<{type: string, value: string, status: string, replacement: string|null, start: number, end: number}>}
+   *   status is 'changed' (replacement is the output fact that took its place) or 'missing';
+   *   start/end is the spot in the output to highlight
+   */
+  compare(input, output) {
+    if (!input?.trim() || !output?.trim()) return [];
+    
+    const inputLanguage = LanguageDetector.detect(input);
+    const outputLanguage = LanguageDetector.detect(output);
+    const translated = inputLanguage && outputLanguage && inputLanguage !== outputLanguage;
+    const inputFacts = this._unique(this.extract(input)).filter((fact) => !translated || this.NUMERIC_TYPES.includes(fact.type));
+    const outputFacts = this.extract(output);
+    const inputKeys = new Set(inputFacts.map((fact) => fact.key));
+    const outputKeys = new Set(outputFacts.map((fact) => fact.key));
+    
+    // Output facts the input did not have are the likely replacements
+    const added = outputFacts.filter((fact) => !inputKeys.has(fact.key) && !this._contains(input, fact));
+    const issues = [];
+    
+    inputFacts.forEach((fact) => {
+      if (outputKeys.has(fact.key) || this._contains(output, fact)) return;
+      
+      const position = fact.start / input.length;
+      const candidates = added.filter((candidate) => candidate.type === fact.type);
+      const replacement = candidates.sort((a, b) => Math.abs(a.start / output.length - position) - Math.abs(b.start / output.length - position))[0];
+      
+      if (replacement) {
+        added.splice(added.indexOf(replacement), 1);
+        issues.push({ type: fact.type, value: fact.value, status: 'changed', replacement: replacement.value, start: replacement.start, end: replacement.end });
+      } else {
+        const spot = this._sentenceAt(output, Math.round(position * output.length));
+        issues.push({ type: fact.type, value: fact.value, status: 'missing', replacement: null, ...spot });
+      }
+    });
+    
+    return issues;
+  },
+  
+  /**
+   * One line for an issue
+   * @param {Object} issue - Item from compare()
+   * @returns {string}
+   */
+  describe(issue) {
+    return issue.status === 'changed'
+      ? `${issue.type} ${this._quote(issue.value)} became ${this._quote(issue.replacement)}`
+      : `${issue.type} ${this._quote(issue.value)} is missing`;
+  },
+  
+  /**
+   * Short summary of several issues
+   * @param {Array} issues - Result of compare()
+   * @returns {string} Empty when there are none
+   */
+  summarize(issues) {
+    if (!issues?.length) return '';
+    const listed = issues.slice(0, 3).map((issue) => this._quote(issue.value)).join(', ');
+    const more = issues.length > 3 ? ` and ${issues.length - 3} more` : '';
+    return `${issues.length} fact${issues.length === 1 ? '' : 's'} changed or missing: ${listed}${more}`;
+  },
+  
+  /**
+   * Value in quotes, unless it is a quote already
+   * @private
+   */
+  _quote(value) {
+    return /^["“]/.test(value) ? value : `"${value}"`;
+  },
+  
+  /**
+   * Drop words a capitalized run only has because it starts a sentence
+   * @private
+   */
+  _trimName(text, value, start) {
+    let name = value;
+    if (/(?:^|[.!?:]["'’”)\]]*\s+|\n)[ \t]*(?:[#>*+-]+[ \t]+|\d+[.)][ \t]+)?["“'‘(]?$/.test(text.slice(0, start))) {
+      name = name.replace(/^\S+[ \t]*/, '');
+    }
+    name = name.replace(/^(?:(?:of|de|van)[ \t]+)+/, '');
+    const offset = start + value.length - name.length;
+    name = name.replace(/(?:[ \t]+(?:of|de|van))+$/, '').replace(/['’]s$|[-'’&]+$/, '');
+    
+    if (name.length < 2 || this.NOT_NAMES.includes(name)) return { value: '', start: offset };
+    return { value: name, start: offset };
+  },
+  
+  /**
+   * Whether text mentions a fact in another accepted form
+   * @private
+   */
+  _contains(text, fact) {
+    if (fact.type === 'name') {
+      const escaped = fact.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(text);
+    }
+    if (fact.type === 'quote') {
+      return this._normalizeQuote(text).includes(fact.key.slice('quote:'.length));
+    }
+    if (fact.type === 'number') {
+      const value = Number(fact.key.slice('number:'.length));
+      const words = [this.NUMBER_WORDS[value], this.ORDINAL_WORDS[value]].filter(Boolean);
+      return words.some((word) => new RegExp(`\\b${word}\\b`, 'i').test(text));
+    }
+    return false;
+  },
+  
+  /**
+   * Comparable date: month-day-year with the month as a number
+   * @private
+   */
+  _dateKey(value) {
+    const month = value.match(new RegExp(MONTH_PATTERN, 'i'));
+    if (!month) return value.replace(/[/.]/g, '-');
+    
+    const index = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+      .indexOf(month[0].slice(0, 3).toLowerCase()) + 1;
+    const numbers = value.match(/\d+/g) || [];
+    const year = numbers.find((number) => number.length === 4) || '';
+    const day = numbers.find((number) => number.length <= 2) || '';
+    return `${index}-${Number(day) || ''}-${year}`;
+  },
+  
+  /**
+   * Quote text without quote marks, case or spacing differences
+   * @private
+   */
+  _normalizeQuote(text) {
+    return text.replace(/["“”]/g, '').replace(/[’]/g, "'").replace(/\s+/g, ' ').trim().toLowerCase();
+  },
+  
+  /**
+   * First fact for each key
+   * @private
+   */
+  _unique(facts) {
+    const seen = new Set();
+    return facts.filter((fact) => !seen.has(fact.key) && seen.add(fact.key));
+  },
+  
+  /**
+   * Bounds of the sentence around an offset
+   * @private
+   */
+  _sentenceAt(text, offset) {
+    const at = Math.min(Math.max(offset, 0), text.length - 1);
+    const before = text.slice(0, at);
+    const breaks = [...before.matchAll(/[.!?]["')\]]*\s+|\n/g)];
+    const start = breaks.length ? breaks[breaks.length - 1].index + breaks[breaks.length - 1][0].length : 0;
+    const next = text.slice(at).search(/[.!?](?=["')\]]*(?:\s|$))|\n/);
+    const end = next === -1 ? text.length : at + next + 1;
+    return { start, end: Math.min(end, text.length) };
+  }
+};
+
+// ============================================================================
+// PROMPT BUILDER MODULE
+// ============================================================================
+
+const PromptBuilder = {
+  /**
+   * Build system and user prompts based on text category
+   * @param {string} text - Input text
+   * @param {string} perspective - Writing perspective
+   * @param {string} tone - Tone preference
+   * @param {string} style - Style preference
+   * @param {string} category - Text category
+   * @param {Object} [extras] - Preset guidance (instructions, bannedWords, sample), keepParagraphs, targetLanguage,
+   *   lengthRatio, voice (from VoiceProfiler.guidance()), glossary and the operation with its summaryLength/readingLevel
+   * @returns {{system: string, user: string}}
+   */
+  build(text, perspective, tone, style, category, extras = {}) {
+    const paramDescription = this._getParamDescription(perspective, tone, style, extras) + this._languageRule(text, extras) +
+      this._placeholderRule(text) + this._paragraphRule(text, extras) + Glossary.promptRule(extras.glossary);
+    const lengthRule = this._lengthRule(text, extras);
+    
+    const { system, user } = extras.operation && extras.operation !== 'humanize'
+      ? this._buildOperationPrompt(text, paramDescription, extras, lengthRule)
+      : this._buildCategoryPrompt(text, paramDescription, category, lengthRule);
+    
+    return { system: system + this._voiceRule(extras), user };
+  },
+  
+  /**
+   * Build the humanize prompt for a text category
+   * @private
+   */
+  _buildCategoryPrompt(text, paramDescription, category, lengthRule) {
+    switch (category) {
+      case 'SHORT':
+        return this._buildShortPrompt(text, paramDescription, lengthRule);
+      case 'MEDIUM':
+        return this._buildMediumPrompt(text, paramDescription, lengthRule);
+      case 'LONG':
+        return this._buildLongPrompt(text, paramDescription, lengthRule);
+      case 'VERY_LONG':
+        return this._buildVeryLongPrompt(text, paramDescription, lengthRule);
+      default:
+        return this._buildShortPrompt(text, paramDescription, lengthRule);
+    }
+  },
+  
+  /**
+   * Prompt extras carried by a preset
+   * @param {Object|null} preset - Preset from StateManager.loadPresets()
+   * @returns {{instructions: string, bannedWords: string[], sample: string}}
+   */
+  presetExtras(preset) {
+    if (!preset) return {};
+    
+    return {
+      instructions: preset.instructions,
+      bannedWords: preset.bannedWords,
+      sample: preset.sample
+    };
+  },
+  
+  /**
+   * Instruction to answer in the language of the text, or to translate into
+   * extras.targetLanguage while rewriting
+   * @private
+   */
+  _languageRule(text, extras) {
+    const source = LanguageDetector.detect(text);
+    const target = extras.targetLanguage;
+    
+    if (target && target !== source) {
+      const name = LanguageDetector.name(target);
+      return `\n- Language: translate the text into ${name} while rewriting it, so the result reads as if first written in ${name}. Write the whole answer in ${name}. The length limit applies to the content, not the word count.`;
+    }
+    if (source) {
+      return `\n- Language: the text is in ${LanguageDetector.name(source)}. Write the answer in ${LanguageDetector.name(source)} too; do not translate it.`;
+    }
+    return '\n- Language: write the answer in the same language as the text; do not translate it.';
+  },
+  
+  /**
+   * "Match my voice" section for the system prompt: the profile's style summary
+   * and/or excerpt. A grammar fix keeps the text's own voice, so it gets none
+   * @private
+   */
+  _voiceRule(extras) {
+    const voice = extras.voice;
+    if (!voice || (!voice.summary && !voice.excerpt) || extras.operation === 'grammar') return '';
+    
+    let rule = `\n\nVoice: write the way ${voice.name ? `the author "${voice.name}"` : 'the author'} writes. Where this voice and the tone or style parameters disagree, follow the voice. Keep the meaning of the text you are given.`;
+    if (voice.summary) {
+      rule += `\n\nThe author's style:\n${voice.summary}`;
+    }
+    if (voice.excerpt) {
+      rule += `\n\nExcerpt of the author's writing (imitate its voice; never copy its content):\n"""\n${voice.excerpt}\n"""`;
+    }
+    
+    return rule;
+  },
+  
+  /**
+   * Length rule for extras.lengthRatio, replacing the prompt's own length rule
+   * @private
+   * @returns {string|null} Null when the user has not set a length target
+   */
+  _lengthRule(text, extras) {
+    if (!extras.lengthRatio) return null;
+    
+    const words = LengthTarget.words(text, extras.lengthRatio);
+    return `Aim for about ${words} words (${Math.round(extras.lengthRatio * 100)}% of the original length)`;
+  },
+  
+  /**
+   * Instruction to keep PII placeholders intact, if the text has any
+   * @private
+   */
+  _placeholderRule(text) {
+    const example = text.match(/\[\[[A-Z]+_\d+\]\]/);
+    if (!example) return '';
+    
+    let rule = `\n- Placeholders: copy every placeholder such as ${example[0]} exactly as written, double brackets included. Do not reword, translate, merge or drop them.`;
+    
+    const pair = text.match(/\[\[([A-Z]+_\d+)\]\][^[]*?\[\[\/\1\]\]/);
+    if (pair) {
+      rule += ` Pairs such as [[${pair[1]}]]...[[/${pair[1]}]] mark formatting: keep both halves around the words they wrap.`;
+    }
+    
+    return rule;
+  },
+  
+  /**
+   * Instruction to keep paragraph boundaries, so rewritten paragraphs can be
+   * put back into their Markdown blocks
+   * @private
+   */
+  _paragraphRule(text, extras) {
+    if (!extras.keepParagraphs) return '';
+    
+    const count = text.trim().split(/\n[ \t]*\n\s*/).length;
+    if (count < 2) return '';
+    
+    return `\n- Paragraphs: the text has ${count} paragraphs separated by blank lines. Rewrite each one on its own and return exactly ${count} paragraphs in the same order, separated by blank lines. Do not add headings or lists.`;
+  },
+  
+  /**
+   * Get parameter description
+   * @private
+   */
+  _getParamDescription(perspective, tone, style, extras = {}) {
+    // A grammar fix keeps the author's voice, so tone and style do not apply
+    if (extras.operation === 'grammar') return 'Parameters:';
+    
+    let description = `Parameters:
+- Perspective: ${perspective === 'maintain' ? 'Keep original' : perspective.replace('-', ' ')}
+- Tone: ${tone}
+- Style: ${style}`;
+    
+    if (extras.instructions) {
+      description += `\n- Extra instructions: ${extras.instructions}`;
+    }
+    if (extras.bannedWords?.length) {
+      description += `\n- Never use these words: ${extras.bannedWords.join(', ')}`;
+    }
+    if (extras.sample) {
+      description += `\n\nSample of the desired voice (match its style, not its content):\n"""\n${extras.sample}\n"""`;
+    }
+    
+    return description;
+  },
+  
+  /**
+   * Build prompt for SHORT text
+   * @private
+   */
+  _buildShortPrompt(text, paramDescription, lengthRule = null) {
+    const systemRole = `You are a clarity expert. Improve short text while preserving core message.
+
+Rules:
+1. Maintain all facts and original meaning exactly
+2. ${lengthRule || 'Keep similar length (within 10% of original)'}
+3. Use natural, conversational language
+4. Remove unnecessary words and jargon
+5. Use active voice when possible
+6. Preserve formatting (bold, lists, etc.)
+7. Replace abstract language with concrete examples
+
+Return ONLY the rewritten text with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+Original text:
+${text}
+
+Rewritten version:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for MEDIUM text
+   * @private
+   */
+  _buildMediumPrompt(text, paramDescription, lengthRule = null) {
+    const systemRole = `You are a writing improvement specialist. Enhance medium-length text for clarity and engagement.
+
+Rules:
+1. Preserve all factual content and original meaning
+2. ${lengthRule || 'Keep length within 15% of original'}
+3. Improve clarity and readability
+4. Use varied sentence structure
+5. Create natural transitions between ideas
+6. Add emphasis through structure, not just adverbs
+7. Maintain consistent tone throughout
+
+Return ONLY the improved text with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+Original text:
+${text}
+
+Improved version:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for LONG text
+   * @private
+   */
+  _buildLongPrompt(text, paramDescription, lengthRule = null) {
+    const systemRole = `You are a professional editor. Refine long-form text for maximum impact.
+
+Rules:
+1. Preserve all important information and meaning
+2. Maintain consistent style throughout
+3. Create natural flow between sections
+4. Ensure each paragraph has clear purpose
+5. Remove redundancies
+6. Use varied pacing to maintain reader engagement
+7. ${lengthRule || 'Keep similar length (within 20%)'}
+
+Return ONLY the refined text with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+This is a lengthy passage. Maintain consistency while keeping each section natural and engaging.
+
+Original text:
+${text}
+
+Refined version:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for VERY_LONG text
+   * @private
+   */
+  _buildVeryLongPrompt(text, paramDescription, lengthRule = null) {
+    const systemRole = `You are a master editor. Optimize very long text for clarity, readability, and impact.
+
+Rules:
+1. Preserve all critical information
+2. Maintain consistent voice throughout
+3. Ensure logical flow and structure
+4. Remove all redundancies
+5. Break complex ideas into digestible pieces
+6. Use varied pacing strategically
+7. ${lengthRule || 'Keep length within 25%'}
+
+Return ONLY the optimized text with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+This is very long content. Ensure consistency, clarity, and engagement throughout all sections.
+
+Original text:
+${text}
+
+Optimized version:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for an operation other than humanize
+   * @private
+   */
+  _buildOperationPrompt(text, paramDescription, extras, lengthRule = null) {
+    switch (extras.operation) {
+      case 'summarize':
+        return this._buildSummarizePrompt(text, paramDescription, extras.summaryLength, lengthRule);
+      case 'expand':
+        return this._buildExpandPrompt(text, paramDescription, lengthRule);
+      case 'simplify':
+        return this._buildSimplifyPrompt(text, paramDescription, extras.readingLevel, lengthRule);
+      case 'grammar':
+        return this._buildGrammarPrompt(text, paramDescription);
+      case 'to-prose':
+        return this._buildToProsePrompt(text, paramDescription, lengthRule);
+      case 'to-bullets':
+        return this._buildToBulletsPrompt(text, paramDescription, lengthRule);
+      default:
+        return this._buildShortPrompt(text, paramDescription, lengthRule);
+    }
+  },
+  
+  /**
+   * Build prompt for a summary
+   * @private
+   */
+  _buildSummarizePrompt(text, paramDescription, summaryLength, lengthRule = null) {
+    const length = CONFIG.SUMMARY_LENGTHS[summaryLength] || CONFIG.SUMMARY_LENGTHS.short;
+    const summaryRule = length.sentences
+      ? `Write no more than ${length.sentences} sentences`
+      : `Use about ${Math.max(15, Math.round(TextUtils.countWords(text) * length.ratio))} words`;
+    
+    const systemRole = `You are an expert editor. Summarize text faithfully.
+
+Rules:
+1. Keep only the main points and the facts they depend on
+2. ${lengthRule || summaryRule}
+3. Do not add opinions, examples or information that is not in the text
+4. Keep names, numbers and dates exactly as written
+5. Write plain, natural sentences
+
+Return ONLY the summary with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+Original text:
+${text}
+
+Summary:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for expanding text
+   * @private
+   */
+  _buildExpandPrompt(text, paramDescription, lengthRule = null) {
+    const systemRole = `You are a skilled writer. Expand text with useful detail while keeping its meaning.
+
+Rules:
+1. Keep every original point and fact, in the original order
+2. ${lengthRule || 'Roughly double the length'} with explanation, context and examples that follow from the text
+3. Do not invent facts, figures, names or quotes
+4. Keep the structure: paragraphs stay paragraphs, lists stay lists
+5. Avoid filler and repetition
+
+Return ONLY the expanded text with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+Original text:
+${text}
+
+Expanded version:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for simplifying text to a reading level
+   * @private
+   */
+  _buildSimplifyPrompt(text, paramDescription, readingLevel, lengthRule = null) {
+    const grade = CONFIG.READING_LEVELS[readingLevel] ? Number(readingLevel) : 8;
+    
+    const systemRole = `You are a plain-language editor. Make text easy to read.
+
+Rules:
+1. Keep all facts and the original meaning
+2. Write for a reader at US grade ${grade} reading level
+3. Use short sentences and common words; replace or briefly explain jargon
+4. Use active voice
+5. Keep headings, lists and paragraph breaks where they are${lengthRule ? `\n6. ${lengthRule}` : ''}
+
+Return ONLY the simplified text with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+Original text:
+${text}
+
+Simplified version:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for fixing grammar and spelling only
+   * @private
+   */
+  _buildGrammarPrompt(text, paramDescription) {
+    const systemRole = `You are a careful proofreader. Fix grammar, spelling and punctuation only.
+
+Rules:
+1. Correct grammar, spelling, punctuation and capitalization errors
+2. Do not rephrase, reorder, shorten or expand anything that is already correct
+3. Keep the author's word choice, tone and style
+4. Keep formatting, line breaks and lists exactly as they are
+5. If there is nothing to fix, return the text unchanged
+
+Return ONLY the corrected text with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+Original text:
+${text}
+
+Corrected version:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for turning lists into prose
+   * @private
+   */
+  _buildToProsePrompt(text, paramDescription, lengthRule = null) {
+    const systemRole = `You are a skilled writer. Turn bullet points and lists into flowing prose.
+
+Rules:
+1. Cover every point, in the same order
+2. Join related points into paragraphs with natural transitions
+3. Do not add facts, figures or claims that are not in the text
+4. Keep headings; turn only the lists into paragraphs
+5. Do not use bullet points or numbered lists in the answer${lengthRule ? `\n6. ${lengthRule}` : ''}
+
+Return ONLY the prose with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+Original text:
+${text}
+
+Prose version:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for turning prose into bullet points
+   * @private
+   */
+  _buildToBulletsPrompt(text, paramDescription, lengthRule = null) {
+    const systemRole = `You are an editor who makes text easy to skim. Turn prose into bullet points.
+
+Rules:
+1. One bullet per key point, in the original order
+2. Start each bullet with "- " and keep it to one short sentence or phrase
+3. Keep every fact, name, number and date that matters
+4. Add short headings only if the text covers clearly separate topics
+5. Do not add information that is not in the text${lengthRule ? `\n6. ${lengthRule}` : ''}
+
+Return ONLY the bullet list with no explanations.`;
+
+    const userPrompt = `${paramDescription}
+
+Original text:
+${text}
+
+Bullet points:`;
+
+    return { system: systemRole, user: userPrompt };
+  },
+  
+  /**
+   * Build prompt for one chunk of a long document
+   * @param {string} text - Chunk text
+   * @param {string} perspective - Writing perspective
+   * @param {string} tone - Tone preference
+   * @param {string} style - Style preference
+   * @param {string} context - Tail of the previous rewritten chunk (may be empty)
+   * @param {number} index - Zero-based chunk index
+   * @param {number} total - Number of chunks
+   * @param {Object} [extras] - Preset guidance (instructions, bannedWords, sample), keepParagraphs, targetLanguage,
+   *   lengthRatio, voice (from VoiceProfiler.guidance()), glossary and the operation with its summaryLength/readingLevel
+   * @returns {{system: string, user: string}}
+   */
+  buildChunk(text, perspective, tone, style, context, index, total, extras = {}) {
+    const paramDescription = this._getParamDescription(perspective, tone, style, extras) + this._languageRule(text, extras) +
+      this._placeholderRule(text) + this._paragraphRule(text, extras) + Glossary.promptRule(extras.glossary);
+    const lengthRule = this._lengthRule(text, extras);
+    
+    // Other operations work on each section alone
+    if (extras.operation && extras.operation !== 'humanize') {
+      const { system, user } = this._buildOperationPrompt(text, paramDescription, extras, lengthRule);
+      return { system: system + this._voiceRule(extras), user: `This is section ${index + 1} of ${total} of a longer document. Work on this section only.\n\n${user}` };
+    }
+    
+    const systemRole = `You are a professional editor rewriting a long document one section at a time.
+
+Rules:
+1. Preserve all facts and original meaning exactly
+2. Keep the same voice as the previous section
+3. Keep every paragraph break and heading where it is
+4. ${lengthRule || 'Keep similar length (within 15% of original)'}
+5. Use varied sentence structure and natural transitions
+6. Do not summarize, introduce, or conclude the document
+7. Never repeat the previous section
+
+Return ONLY the rewritten section with no explanations.`;
+
+    const contextBlock = context
+      ? `Previous section (already rewritten, for voice and continuity only - do NOT include it):
+...${context}
+
+`
+      : '';
+
+    const userPrompt = `${paramDescription}
+
+This is section ${index + 1} of ${total}.
+
+${contextBlock}Section to rewrite:
+${text}
+
+Rewritten section:`;
+
+    return { system: systemRole + this._voiceRule(extras), user: userPrompt };
+  }
+};
+
+// ============================================================================
+// DOCUMENT CHUNKING MODULE
+// ============================================================================
+
+const DocumentChunker = {
+  /**
+   * Split text into chunks at paragraph and heading boundaries
+   * @param {string} text - Input text
+   * @param {number} maxWords - Target maximum words per chunk
+   * @returns {Array<{text: string, separator: string}>} Chunks with the whitespace that followed each
+   */
+  split(text, maxWords = CONFIG.CHUNKING.MAX_WORDS) {
+    const chunks = [];
+    let current = null;
+    
+    const flush = () => {
+      if (current) {
+        chunks.push({ text: current.text, separator: current.separator });
+        current = null;
+      }
+    };
+    
+    this._splitBlocks(text.trim()).forEach((block) => {
+      const words = TextUtils.countWords(block.text);
+      const isHeading = this._isHeading(block.text);
+      
+      // Oversized paragraphs are split on sentence boundaries
+      if (words > maxWords) {
+        if (current && !current.endsWithHeading) flush();
+        this._splitParagraph(block, maxWords).forEach((piece, i) => {
+          if (i === 0 && current) {
+            current.text += current.separator + piece.text;
+            current.separator = piece.separator;
+            flush();
+          } else {
+            chunks.push(piece);
+          }
+        });
+        return;
+      }
+      
+      // Never leave a heading stranded at the end of a chunk
+      const full = current && current.words + words > maxWords;
+      const sectionBreak = current && isHeading && current.words >= maxWords / 2;
+      if ((full || sectionBreak) && !current.endsWithHeading) {
+        flush();
+      }
+      
+      if (!current) {
+        current = { text: block.text, separator: block.separator, words, endsWithHeading: isHeading };
+      } else {
+        current.text += current.separator + block.text;
+        current.separator = block.separator;
+        current.words += words;
+        current.endsWithHeading = isHeading;
+      }
+    });
+    
+    flush();
+    return chunks;
+  },
+  
+  /**
+   * Reassemble rewritten chunks with the original separators
+   * @param {Array<{separator: string}>} chunks - Chunks from split()
+   * @param {string[]} outputs - Rewritten text per chunk (may be shorter than chunks)
+   * @returns {string} Joined text
+   */
+  join(chunks, outputs) {
+    return outputs
+      .map((output, i) => (i < outputs.length - 1 ? output.trim() + chunks[i].separator : output.trim()))
+      .join('');
+  },
+  
+  /**
+   * Split text into paragraph and heading blocks
+   * @private
+   */
+  _splitBlocks(text) {
+    const parts = text.split(/(\n[ \t]*\n\s*)/);
+    const blocks = [];
+    
+    for (let i = 0; i < parts.length; i += 2) {
+      const separator = parts[i + 1] || '';
+      const lines = parts[i].split('\n');
+      
+      // A Markdown heading directly above its paragraph is its own block
+      if (lines.length > 1 && /^#{1,6}\s/.test(lines[0])) {
+        blocks.push({ text: lines[0], separator: '\n' });
+        blocks.push({ text: lines.slice(1).join('\n'), separator });
+      } else if (parts[i].trim()) {
+        blocks.push({ text: parts[i], separator });
+      }
+    }
+    
+    return blocks;
+  },
+  
+  /**
+   * Split an oversized paragraph into sentence groups
+   * @private
+   */
+  _splitParagraph(block, maxWords) {
+    const sentences = block.text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [block.text];
+    const pieces = [];
+    let current = '';
+    
+    sentences.forEach((sentence) => {
+      if (current && TextUtils.countWords(current + sentence) > maxWords) {
+        pieces.push({ text: current.trim(), separator: ' ' });
+        current = '';
+      }
+      current += sentence;
+    });
+    
+    if (current.trim()) {
+      pieces.push({ text: current.trim(), separator: block.separator });
+    }
+    
+    return pieces;
+  },
+  
+  /**
+   * Whether a block looks like a heading
+   * @private
+   */
+  _isHeading(text) {
+    const trimmed = text.trim();
+    if (/^#{1,6}\s/.test(trimmed)) return true;
+    
+    // Short single line without closing punctuation
+    return !trimmed.includes('\n') &&
+      TextUtils.countWords(trimmed) <= 10 &&
+      !/[.!?,;:]$/.test(trimmed);
+  }
+};
+
+// ============================================================================
+// MARKDOWN STRUCTURE MODULE
+// ============================================================================
+
+/**
+ * Line-based Markdown/plain-text block parser. Blocks keep their raw text so
+ * joining every block's raw with "\n" reproduces the input exactly.
+ */
+const MarkdownStructure = {
+  // Block types whose content is prose that may be rewritten
+  PROSE_TYPES: ['paragraph', 'bullet', 'numbered', 'quote'],
+  
+  // Prose shorter than this is left alone
+  MIN_PROSE_WORDS: 3,
+  
+  /**
+   * Split text into blocks
+   * @param {string} text - Markdown or plain text
+   * @returns {Array<{type: string, raw: string, prefix: string, content: string, prose: boolean}>}
+   *   type is one of heading, bullet, numbered, quote, code, table, rule, html, blank, paragraph
+   */
+  parse(text) {
+    const lines = text.split('\n');
+    const blocks = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+      const line = lines[i];
+      const next = lines[i + 1];
+      
+      // Fenced code runs to the closing fence (or the end of the text)
+      const fence = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+      if (fence) {
+        let end = i + 1;
+        while (end < lines.length && !lines[end].trim().startsWith(fence[1])) end++;
+        end = Math.min(end, lines.length - 1);
+        blocks.push(this._block('code', lines.slice(i, end + 1).join('\n')));
+        i = end + 1;
+        continue;
+      }
+      
+      if (!line.trim()) {
+        blocks.push(this._block('blank', line));
+        i++;
+        continue;
+      }
+      
+      // Indented code, unless it continues a list
+      const previous = blocks[blocks.length - 1];
+      if (/^(?: {4}|\t)/.test(line) && (!previous || ['blank', 'code'].includes(previous.type)) &&
+          !this._inList(blocks)) {
+        let end = i;
+        while (end + 1 < lines.length && /^(?: {4}|\t)/.test(lines[end + 1])) end++;
+        blocks.push(this._block('code', lines.slice(i, end + 1).join('\n')));
+        i = end + 1;
+        continue;
+      }
+      
+      if (line.includes('|') && next !== undefined && /^\s*\|?\s*:?-{2,}:?\s*(?:\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(next)) {
+        let end = i + 1;
+        while (end + 1 < lines.length && lines[end + 1].includes('|') && lines[end + 1].trim()) end++;
+        blocks.push(this._block('table', lines.slice(i, end + 1).join('\n')));
+        i = end + 1;
+        continue;
+      }
+      
+      if (/^\s{0,3}#{1,6}(?:\s|$)/.test(line)) {
+        blocks.push(this._block('heading', line));
+        i++;
+        continue;
+      }
+      
+      if (/^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line)) {
+        blocks.push(this._block('rule', line));
+        i++;
+        continue;
+      }
+      
+      if (/^\s*<\/?[a-zA-Z][^>]*>\s*$/.test(line)) {
+        blocks.push(this._block('html', line));
+        i++;
+        continue;
+      }
+      
+      const item = line.match(/^(\s*[-*+]\s+(?:\[[ xX]\]\s+)?)(.*)$/) || line.match(/^(\s*\d{1,9}[.)]\s+)(.*)$/);
+      if (item) {
+        const type = /^\s*\d/.test(line) ? 'numbered' : 'bullet';
+        blocks.push(this._block(type, line, item[1], item[2]));
+        i++;
+        continue;
+      }
+      
+      const quote = line.match(/^(\s{0,3}>[>\s]*)(.*)$/);
+      if (quote) {
+        blocks.push(this._block('quote', line, quote[1], quote[2]));
+        i++;
+        continue;
+      }
+      
+      // Setext heading: a line underlined with === or ---
+      if (next !== undefined && /^\s{0,3}(?:=+|-+)\s*$/.test(next)) {
+        blocks.push(this._block('heading', `${line}\n${next}`));
+        i += 2;
+        continue;
+      }
+      
+      // Paragraph: consecutive plain lines
+      let end = i;
+      while (end + 1 < lines.length && this._continuesParagraph(lines[end + 1], lines[end + 2])) end++;
+      const indent = line.match(/^\s*/)[0];
+      blocks.push(this._block('paragraph', lines.slice(i, end + 1).join('\n'), indent, lines.slice(i, end + 1).join('\n').slice(indent.length)));
+      i = end + 1;
+    }
+    
+    return blocks;
+  },
+  
+  /**
+   * Whether the blocks have anything a plain rewrite would damage
+   * @param {Object[]} blocks - Result of parse()
+   * @returns {boolean}
+   */
+  hasStructure(blocks) {
+    return blocks.some((block) => !['paragraph', 'blank'].includes(block.type) || /`|https?:\/\/|<[a-z]/i.test(block.content));
+  },
+  
+  /**
+   * Prose to rewrite, with inline code, links, URLs and HTML tags swapped for [[KEEP_n]] placeholders
+   * @param {Object[]} blocks - Result of parse()
+   * @returns {Array<{blockIndex: number, text: string, kept: Map<string, string>}>} One segment per prose block
+   */
+  proseSegments(blocks) {
+    const segments = [];
+    let counter = 0;
+    
+    blocks.forEach((block, blockIndex) => {
+      if (!block.prose) return;
+      
+      const kept = new Map();
+      const text = block.content
+        .replace(/`+[^`]*`+|!?\[[^\]]*\]\([^)]*\)|<https?:\/\/[^>]+>|https?:\/\/[^\s<>"']*[^\s<>"'.,;:!?)\]]|<\/?[a-zA-Z][^>]*>/g, (match) => {
+          const placeholder = `[[KEEP_${counter++}]]`;
+          kept.set(placeholder, match);
+          return placeholder;
+        })
+        .replace(/\s*\n\s*/g, ' ');
+      
+      segments.push({ blockIndex, text, kept });
+    });
+    
+    return segments;
+  },
+  
+  /**
+   * Put rewritten prose back into the original structure
+   * @param {Object[]} blocks - Result of parse()
+   * @param {Object[]} segments - Result of proseSegments()
+   * @param {string[]} outputs - Rewritten text per segment; missing entries keep the original
+   * @returns {{text: string, failed: number[]}} Rebuilt text and indexes of segments whose
+   *   placeholders were lost (those keep the original wording)
+   */
+  rebuild(blocks, segments, outputs) {
+    const replaced = new Map();
+    const failed = [];
+    
+    segments.forEach((segment, index) => {
+      const output = outputs[index];
+      if (typeof output !== 'string' || !output.trim()) return;
+      
+      const restored = this._restoreInline(output.trim().replace(/\s*\n\s*/g, ' '), segment.kept);
+      if (restored === null) {
+        failed.push(index);
+        return;
+      }
+      replaced.set(segment.blockIndex, blocks[segment.blockIndex].prefix + restored);
+    });
+    
+    const text = blocks
+      .map((block, index) => (replaced.has(index) ? replaced.get(index) : block.raw))
+      .join('\n');
+    
+    return { text, failed };
+  },
+  
+  /**
+   * Put kept spans back; null if the model dropped any of them
+   * @private
+   */
+  _restoreInline(text, kept) {
+    let restored = text;
+    
+    for (const [placeholder, original] of kept) {
+      const number = placeholder.match(/\d+/)[0];
+      const pattern = new RegExp(`\\[{1,2}\\s*KEEP[\\s_-]?${number}\\s*\\]{1,2}`, 'i');
+      if (!pattern.test(restored)) return null;
+      restored = restored.replace(pattern, () => original);
+    }
+    
+    return restored;
+  },
+  
+  /**
+   * Create a block
+   * @private
+   */
+  _block(type, raw, prefix = '', content = '') {
+    const prose = this.PROSE_TYPES.includes(type) && TextUtils.countWords(content) >= this.MIN_PROSE_WORDS;
+    return { type, raw, prefix, content, prose };
+  },
+  
+  /**
+   * Whether the latest non-blank block is a list item
+   * @private
+   */
+  _inList(blocks) {
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      if (blocks[i].type !== 'blank') return ['bullet', 'numbered'].includes(blocks[i].type);
+    }
+    return false;
+  },
+  
+  /**
+   * Whether a line carries on the paragraph above it
+   * @private
+   */
+  _continuesParagraph(line, next) {
+    if (!line.trim()) return false;
+    if (next !== undefined && /^\s{0,3}(?:=+|-+)\s*$/.test(next)) return false;
+    
+    return !/^\s{0,3}(?:#{1,6}(?:\s|$)|>|`{3,}|~{3,}|[-*+]\s|\d{1,9}[.)]\s|<\/?[a-zA-Z])/.test(line) &&
+      !/^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line);
+  }
+};
+
+// ============================================================================
+// RICH TEXT MODULE
+// ============================================================================
+
+/**
+ * Converts pasted HTML to Markdown-like text with inline formatting held in
+ * placeholders, and turns rewritten text back into HTML.
+ *
+ * Paired marks wrap words: [[B_0]]bold[[/B_0]], [[LINK_1]]docs[[/LINK_1]].
+ * Atomic marks stand in for content the model must not touch: inline code,
+ * images and preformatted blocks ([[CODE_2]]).
+ */
+const RichText = {
+  // Paired mark types and the tags they become
+  PAIRED: {
+    B: 'strong',
+    I: 'em',
+    U: 'u',
+    S: 's',
+    SUP: 'sup',
+    SUB: 'sub',
+    LINK: 'a'
+  },
+  
+  // Atomic mark types
+  ATOMIC: ['CODE', 'IMG', 'PRE'],
+  
+  // Elements whose content is never shown
+  SKIPPED_TAGS: ['SCRIPT', 'STYLE', 'HEAD', 'META', 'TITLE', 'TEMPLATE', 'NOSCRIPT'],
+  
+  // URL schemes kept in links and images; anything else becomes plain text
+  LINK_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+  IMAGE_PROTOCOLS: ['http:', 'https:'],
+  
+  /**
+   * Convert HTML to marked text (needs DOMParser, so popup only)
+   * @param {string} html - HTML from the clipboard
+   * @returns {{text: string, marks: Object<string, Object>}} Markdown-like text with
+   *   placeholders, and the marks keyed by id
+   */
+  fromHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const context = { marks: {}, counter: 0 };
+    
+    const text = this._renderChildren(doc.body, context)
+      .replace(/[ \t]+$/gm, '')
+      .replace(/^ (?=\S)/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    
+    return { text, marks: context.marks };
+  },
+  
+  /**
+   * Whether any placeholders or blocks would make rich output differ from plain text
+   * @param {{text: string, marks: Object}} rich - Result of fromHtml()
+   * @returns {boolean}
+   */
+  hasFormatting(rich) {
+    return Object.keys(rich.marks).length > 0 || MarkdownStructure.hasStructure(MarkdownStructure.parse(rich.text));
+  },
+  
+  /**
+   * Warning for formatting the model dropped
+   * @param {number} count - formattingLost from HumanizePipeline.run()
+   * @returns {string} Empty when nothing was lost
+   */
+  describeLoss(count) {
+    if (!count) return '';
+    return `Formatting partly lost: the model dropped ${count} mark${count === 1 ? '' : 's'} (bold, links, code...).`;
+  },
+  
+  /**
+   * Plain text for marked text: paired placeholders are dropped, atomic ones
+   * become their text
+   * @param {string} text - Marked text
+   * @param {Object} marks - Marks from fromHtml()
+   * @returns {string}
+   */
+  toPlain(text, marks) {
+    return text.replace(this._pattern(), (match, close, type, id) => {
+      const mark = marks[id];
+      if (!mark || mark.type !== type.toUpperCase()) return match;
+      return mark.atomic ? mark.text : '';
+    });
+  },
+  
+  /**
+   * HTML for (rewritten) marked text
+   * @param {string} text - Marked text
+   * @param {Object} marks - Marks from fromHtml()
+   * @returns {{html: string, missing: string[]}} HTML and the ids of marks the text no longer has
+   */
+  toHtml(text, marks) {
+    const seen = new Set();
+    const inline = (value) => this._inlineHtml(value, marks, seen);
+    const html = [];
+    const lists = [];
+    
+    // Open lists, innermost last; each has an open <li> that nested lists go into
+    const closeLists = (indent = -1) => {
+      while (lists.length && lists[lists.length - 1].indent > indent) {
+        html.push(`</li></${lists.pop().tag}>`);
+      }
+    };
+    
+    const blocks = MarkdownStructure.parse(text);
+    blocks.forEach((block, index) => {
+      if (block.type === 'blank') return;
+      
+      if (block.type === 'bullet' || block.type === 'numbered') {
+        const indent = block.prefix.match(/^\s*/)[0].length;
+        const tag = block.type === 'bullet' ? 'ul' : 'ol';
+        closeLists(indent);
+        
+        const current = lists[lists.length - 1];
+        if (current && current.indent === indent && current.tag === tag) {
+          html.push('</li>');
+        } else {
+          if (current && current.indent === indent) closeLists(indent - 1);
+          
+          const start = tag === 'ol' ? parseInt(block.prefix, 10) : 1;
+          lists.push({ tag, indent });
+          html.push(start > 1 ? `<ol start="${start}">` : `<${tag}>`);
+        }
+        
+        const task = block.prefix.match(/\[([ xX])\]/);
+        const checkbox = task ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ` : '';
+        html.push(`<li>${checkbox}${inline(block.content)}`);
+        return;
+      }
+      
+      closeLists();
+      
+      switch (block.type) {
+        case 'heading': {
+          const atx = block.raw.match(/^\s*(#{1,6})\s*(.*?)\s*#*\s*$/);
+          const [line, underline = ''] = block.raw.split('\n');
+          const level = atx ? atx[1].length : (underline.trim().startsWith('=') ? 1 : 2);
+          html.push(`<h${level}>${inline(atx ? atx[2] : line.trim())}</h${level}>`);
+          break;
+        }
+        case 'quote': {
+          // Consecutive quote lines form one blockquote
+          if (blocks[index - 1]?.type === 'quote') {
+            html[html.length - 1] = html[html.length - 1].replace(/<\/blockquote>$/, `<br>${inline(block.content)}</blockquote>`);
+          } else {
+            html.push(`<blockquote>${inline(block.content)}</blockquote>`);
+          }
+          break;
+        }
+        case 'code': {
+          const lines = block.raw.split('\n');
+          const fenced = /^\s*(`{3,}|~{3,})/.test(lines[0]);
+          const body = fenced
+            ? lines.slice(1, /^\s*(`{3,}|~{3,})\s*$/.test(lines[lines.length - 1]) && lines.length > 1 ? -1 : undefined)
+            : lines.map((line) => line.replace(/^(?: {4}|\t)/, ''));
+          html.push(`<pre>${inline(body.join('\n'))}</pre>`);
+          break;
+        }
+        case 'table':
+          html.push(this._tableHtml(block.raw, inline));
+          break;
+        case 'rule':
+          html.push('<hr>');
+          break;
+        default:
+          html.push(`<p>${inline(block.raw.trim()).replace(/\n/g, '<br>')}</p>`);
+          break;
+      }
+    });
+    
+    closeLists();
+    
+    const missing = Object.keys(marks).filter((id) => !seen.has(id));
+    return { html: html.join('\n'), missing };
+  },
+  
+  /**
+   * Render the children of a node
+   * @private
+   */
+  _renderChildren(node, context) {
+    return Array.from(node.childNodes).map((child) => this._renderNode(child, context)).join('');
+  },
+  
+  /**
+   * Render one DOM node as marked text
+   * @private
+   */
+  _renderNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || this.SKIPPED_TAGS.includes(node.tagName)) {
+      return '';
+    }
+    
+    const tag = node.tagName;
+    const block = (value) => `\n\n${value.trim()}\n\n`;
+    
+    switch (tag) {
+      case 'BR':
+        return '\n';
+      case 'P':
+        return block(this._renderChildren(node, context));
+      case 'DIV':
+      case 'SECTION':
+      case 'ARTICLE':
+      case 'HEADER':
+      case 'FOOTER':
+        return `\n${this._renderChildren(node, context).trim()}\n`;
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+        return block(`${'#'.repeat(Number(tag[1]))} ${this._renderChildren(node, context).replace(/\s*\n\s*/g, ' ').trim()}`);
+      case 'UL':
+      case 'OL':
+        return this._renderList(node, context);
+      case 'BLOCKQUOTE': {
+        const inner = this._renderChildren(node, context).replace(/\n{2,}/g, '\n').trim();
+        return block(inner.split('\n').map((line) => `> ${line.trim()}`).join('\n'));
+      }
+      case 'PRE':
+        return block(`\`\`\`\n${this._atomic('PRE', node.textContent.replace(/\n$/, ''), this._escape(node.textContent), context)}\n\`\`\``);
+      case 'TABLE':
+        return block(this._renderTable(node, context));
+      case 'HR':
+        return block('---');
+      case 'CODE':
+        return this._atomic('CODE', node.textContent, `<code>${this._escape(node.textContent)}</code>`, context);
+      case 'IMG': {
+        const alt = node.getAttribute('alt') || '';
+        const src = this._safeUrl(node.getAttribute('src'), this.IMAGE_PROTOCOLS);
+        if (!src) return alt;
+        
+        // Rebuilt from src and alt only, so pasted attributes (onerror...) never reach the clipboard
+        return this._atomic('IMG', alt, this._imageHtml(src, alt), context);
+      }
+      default:
+        return this._renderInline(node, context);
+    }
+  },
+  
+  /**
+   * Render an inline element, wrapping it in paired marks for its formatting
+   * @private
+   */
+  _renderInline(node, context) {
+    const inner = this._renderChildren(node, context);
+    
+    // Formatting spanning several blocks cannot be put back reliably
+    if (!inner.trim() || inner.trim().includes('\n\n')) return inner;
+    
+    const types = [];
+    const weight = node.style?.fontWeight;
+    const bold = weight === 'bold' || Number(weight) >= 600;
+    const normal = weight === 'normal' || (weight && Number(weight) < 600);
+    
+    if ((['B', 'STRONG'].includes(node.tagName) && !normal) || bold) types.push('B');
+    if (['I', 'EM'].includes(node.tagName) || node.style?.fontStyle === 'italic') types.push('I');
+    if (node.tagName === 'U' || /underline/.test(node.style?.textDecoration || '')) types.push('U');
+    if (['S', 'DEL', 'STRIKE'].includes(node.tagName) || /line-through/.test(node.style?.textDecoration || '')) types.push('S');
+    if (node.tagName === 'SUP' || node.tagName === 'SUB') types.push(node.tagName);
+    
+    let body = inner.trim();
+    types.forEach((type) => {
+      const id = String(context.counter++);
+      context.marks[id] = { type };
+      body = `[[${type}_${id}]]${body}[[/${type}_${id}]]`;
+    });
+    
+    const href = node.tagName === 'A' && this._safeUrl(node.getAttribute('href'), this.LINK_PROTOCOLS);
+    if (href) {
+      const id = String(context.counter++);
+      context.marks[id] = { type: 'LINK', href };
+      body = `[[LINK_${id}]]${body}[[/LINK_${id}]]`;
+    }
+    
+    // Keep surrounding spaces outside the marks
+    const leading = inner.match(/^\s*/)[0] ? ' ' : '';
+    const trailing = inner.match(/\s*$/)[0] ? ' ' : '';
+    return leading + body + trailing;
+  },
+  
+  /**
+   * Render a list as "- item" or "1. item" lines, nesting with indentation
+   * @private
+   */
+  _renderList(node, context) {
+    const ordered = node.tagName === 'OL';
+    let number = Number(node.getAttribute('start')) || 1;
+    const lines = [];
+    
+    Array.from(node.children).forEach((child) => {
+      if (child.tagName !== 'LI') {
+        lines.push(this._renderNode(child, context).trim());
+        return;
+      }
+      
+      const marker = ordered ? `${number++}. ` : '- ';
+      const checkbox = child.querySelector(':scope > input[type="checkbox"]');
+      const task = checkbox ? (checkbox.checked ? '[x] ' : '[ ] ') : '';
+      const [first, ...rest] = this._renderChildren(child, context).replace(/\n{2,}/g, '\n').trim().split('\n');
+      
+      lines.push(marker + task + first.trim());
+      rest.forEach((line) => lines.push(' '.repeat(marker.length) + line));
+    });
+    
+    // Nested lists sit directly under their item
+    return node.parentElement?.closest('li') ? `\n${lines.join('\n')}\n` : `\n\n${lines.join('\n')}\n\n`;
+  },
+  
+  /**
+   * Render a table as Markdown rows
+   * @private
+   */
+  _renderTable(node, context) {
+    const rows = Array.from(node.querySelectorAll('tr')).map((row) => Array.from(row.children).map((cell) => (
+      this._renderChildren(cell, context).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim()
+    )));
+    if (!rows.length) return '';
+    
+    const width = Math.max(...rows.map((row) => row.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+    
+    return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+  },
+  
+  /**
+   * Table HTML for Markdown table rows
+   * @private
+   */
+  _tableHtml(raw, inline) {
+    const rows = raw.split('\n')
+      .filter((line, index) => index !== 1)
+      .map((line) => line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|')));
+    
+    const [header, ...body] = rows;
+    const cells = (row, tag) => row.map((cell) => `<${tag}>${inline(cell)}</${tag}>`).join('');
+    
+    return `<table><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${body.map((row) => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`;
+  },
+  
+  /**
+   * Register an atomic mark and return its placeholder
+   * @private
+   */
+  _atomic(type, text, html, context) {
+    const id = String(context.counter++);
+    context.marks[id] = { type, atomic: true, text, html };
+    return `[[${type}_${id}]]`;
+  },
+  
+  /**
+   * HTML for one line of marked text; unmatched or unclosed marks are balanced
+   * @private
+   */
+  _inlineHtml(text, marks, seen) {
+    const open = [];
+    const openTag = (mark) => (mark.type === 'LINK'
+      ? `<a href="${this._escape(mark.href)}">`
+      : `<${this.PAIRED[mark.type]}>`);
+    const closeTag = (mark) => `</${this.PAIRED[mark.type]}>`;
+    
+    let html = '';
+    let last = 0;
+    const pattern = this._pattern();
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+      const [token, close, type, id] = match;
+      const mark = marks[id];
+      html += this._escape(text.slice(last, match.index));
+      last = match.index + token.length;
+      
+      if (!mark || mark.type !== type.toUpperCase()) {
+        html += this._escape(token);
+        continue;
+      }
+      seen.add(id);
+      
+      if (mark.atomic) {
+        html += mark.html;
+      } else if (!close) {
+        open.push(mark);
+        html += openTag(mark);
+      } else if (open.includes(mark)) {
+        // Close inner marks first, then reopen them after this one
+        const inner = open.splice(open.indexOf(mark));
+        inner.reverse().forEach((item) => { html += closeTag(item); });
+        inner.reverse().slice(1).forEach((item) => {
+          open.push(item);
+          html += openTag(item);
+        });
+      }
+    }
+    
+    html += this._escape(text.slice(last));
+    open.reverse().forEach((mark) => { html += closeTag(mark); });
+    
+    return html;
+  },
+  
+  /**
+   * Placeholder pattern, tolerant of the spacing and brackets models produce
+   * @private
+   */
+  _pattern() {
+    const types = [...Object.keys(this.PAIRED), ...this.ATOMIC].join('|');
+    return new RegExp(`\\[\\[?\\s*(\\/)?\\s*(${types})[_ ]?(\\d+)\\s*\\]\\]?`, 'gi');
+  },
+  
+  /**
+   * Absolute URL if it uses one of the allowed schemes; relative, javascript: and data: URLs give null
+   * @private
+   * @returns {string|null}
+   */
+  _safeUrl(value, protocols) {
+    try {
+      const url = new URL(String(value || '').trim());
+      return protocols.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * HTML for an image with only its source and alt text
+   * @private
+   */
+  _imageHtml(src, alt) {
+    return `<img src="${this._escape(src)}" alt="${this._escape(alt)}">`;
+  },
+  
+  /**
+   * Escape text for HTML
+   * @private
+   */
+  _escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+};
+
+// ============================================================================
+// POST-PROCESSING MODULE
+// ============================================================================
+
+/**
+ * Rule engine run over generated text. Rule sets come from
+ * CONFIG.POST_PROCESSING per tone, followed by the user's preferred-word swaps
+ * and banned-word removals from the settings page.
+ */
+const PostProcessor = {
+  /**
+   * Clean up generated text
+   * @param {string} text - Generated text
+   * @param {Object} [options]
+   * @param {string|null} [options.tone] - Tone whose rule set applies (defaults to natural; null for none)
+   * @param {Array<{from: string, to: string, regex?: boolean}>} [options.preferredWords] - Words to swap for preferred ones
+   * @param {string[]} [options.bannedWords] - Words to remove
+   * @param {string|null} [options.language] - Language code of the text; null when unknown
+   * @returns {{text: string, applied: number}} Post-processed text and how many replacements were made
+   */
+  process(text, { tone = 'natural', preferredWords = [], bannedWords = [], language = null } = {}) {
+    if (!text || typeof text !== 'string') return { text, applied: 0 };
+    
+    const rules = this.rulesFor(tone, preferredWords, bannedWords, language || 'en').map((rule) => ({ ...rule, compiled: this._compile(rule) }));
+    let applied = 0;
+    
+    // Code and tables pass through untouched; everything else is cleaned line by line
+    const lines = [];
+    MarkdownStructure.parse(text).forEach((block) => {
+      if (block.type === 'blank') {
+        // Collapse runs of blank lines into one
+        if (lines.length && lines[lines.length - 1] !== '') lines.push('');
+      } else if (block.type === 'code' || block.type === 'table') {
+        lines.push(block.raw);
+      } else {
+        block.raw.split('\n').forEach((line) => {
+          const cleaned = this._cleanLine(line, rules);
+          applied += cleaned.applied;
+          lines.push(cleaned.text);
+        });
+      }
+    });
+    
+    return { text: lines.join('\n').trimEnd(), applied };
+  },
+  
+  /**
+   * Rules applied for a tone, in order
+   * @param {string|null} tone - Tone preference; null for the user's rules only
+   * @param {Array<{from: string, to: string, regex?: boolean}>} [preferredWords] - User word swaps
+   * @param {string[]} [bannedWords] - User banned words
+   * @param {string} [language] - Language code; the built-in rule groups only apply to English
+   * @returns {Array<{pattern: string, replacement: string, regex?: boolean, remove?: boolean}>}
+   */
+  rulesFor(tone, preferredWords = [], bannedWords = [], language = 'en') {
+    const { RULES, RULE_SETS } = CONFIG.POST_PROCESSING;
+    const groups = tone !== null && language === 'en' ? RULE_SETS[tone] || RULE_SETS.natural : [];
+    
+    return [
+      ...groups.flatMap((group) => RULES[group] || []),
+      ...preferredWords.map(({ from, to, regex }) => ({ pattern: from, replacement: to, regex: Boolean(regex), remove: !to })),
+      ...bannedWords.map((word) => ({ pattern: word, replacement: '', remove: true }))
+    ];
+  },
+  
+  /**
+   * Give a replacement the case of the text it replaces
+   * @param {string} original - Matched text
+   * @param {string} replacement - Replacement text
+   * @returns {string}
+   */
+  matchCase(original, replacement) {
+    if (!replacement) return replacement;
+    if (original.length > 1 && original === original.toUpperCase() && original !== original.toLowerCase()) {
+      return replacement.toUpperCase();
+    }
+    if (original[0] !== original[0].toLowerCase()) {
+      return replacement[0].toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+  },
+  
+  /**
+   * Apply the rules to one line and squeeze spaces, keeping its indentation,
+   * inline code, URLs and placeholders
+   * @private
+   * @returns {{text: string, applied: number}}
+   */
+  _cleanLine(line, rules) {
+    if (!line.trim()) return { text: '', applied: 0 };
+    
+    const indent = line.match(/^\s*/)[0];
+    const kept = [];
+    let applied = 0;
+    
+    let result = line.slice(indent.length)
+      .replace(/`+[^`]*`+|https?:\/\/\S+|\[\[[^\]]*\]\]/g, (match) => {
+        kept.push(match);
+        return `\u0000${kept.length - 1}\u0000`;
+      });
+    
+    rules.forEach((rule) => {
+      if (!rule.compiled) return;
+      
+      result = result.replace(rule.compiled, (...args) => {
+        const groups = args.slice(1, -2);
+        const offset = args[args.length - 2];
+        applied++;
+        
+        if (rule.remove) return this._removal(result, args[0], offset);
+        
+        const replacement = rule.replacement.replace(/\$(\d)/g, (ref, index) => groups[index - 1] || '');
+        return this.matchCase(args[0], replacement);
+      });
+      
+      // Capitalize sentences whose first word was removed
+      result = result.replace(/\u0001\s*(\p{Ll})/gu, (match, letter) => letter.toUpperCase()).replace(/\u0001/g, '');
+    });
+    
+    // Clean up extra whitespace
+    result = result.replace(/[ \t]+/g, ' ').trimEnd();
+    
+    return {
+      text: indent + result.replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]),
+      applied
+    };
+  },
+  
+  /**
+   * What a removed word leaves behind: a marker when it started a sentence, a
+   * comma when it took one that still separates something, otherwise nothing
+   * @private
+   */
+  _removal(text, match, offset) {
+    const before = text.slice(0, offset);
+    const after = text.slice(offset + match.length);
+    
+    if (/(?:^|[.!?]["')\]]?)\s*$/.test(before)) {
+      return before.trim() ? ' \u0001' : '\u0001';
+    }
+    if (match.startsWith(',') && !match.endsWith(',') && !/^\s*(?:[.!?;:]|$)/.test(after)) {
+      return ',';
+    }
+    return '';
+  },
+  
+  /**
+   * Compile a rule to a global regex; plain patterns match whole words, removals
+   * also take the spaces and commas around them
+   * @private
+   */
+  _compile(rule) {
+    try {
+      if (rule.regex) return new RegExp(rule.pattern, 'gi');
+      
+      const escaped = rule.pattern.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      if (!escaped) return null;
+      const word = `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`;
+      return new RegExp(rule.remove ? `,?[ \\t]*${word},?` : word, 'giu');
+    } catch (error) {
+      console.warn('Invalid post-processing rule:', rule.pattern, error);
+      return null;
+    }
+  }
+};
+
+// ============================================================================
+// QUALITY GATE MODULE
+// ============================================================================
+
+/**
+ * Checks a model answer against the rules its prompt promised (length,
+ * same language, numbers and placeholders kept, no refusal) and retries with
+ * a corrective prompt when it falls short. Preambles and closing notes
+ * about the rewrite are stripped rather than retried; notes anywhere else
+ * are retried.
+ */
+const QualityGate = {
+  // Lines that introduce the answer instead of being part of it
+  PREAMBLE_PATTERN: /^\s*(?:(?:(?:sure|certainly|of course|okay|ok)\b[^\n]*[:!]|(?:here(?:['’]s| is| are)|below is)\b[^\n]*:)[ \t]*\n+|(?:the\s+)?(?:rewritten|humanized|humanised|revised|improved|updated)\s+(?:version|text)[^\n:]*:\s*)/i,
+  
+  // Paragraph openers of notes on the answer ("Note:", "Let me know if...")
+  EXPLANATION_PATTERN: /^\(?\s*(?:(?:note|notes|explanation|changes made|changes|key changes)\s*:|i (?:have|'ve) (?:made|changed|rewritten|kept|adjusted)|i hope this helps|let me know if|this (?:version|rewrite|revision) (?:keeps|maintains|uses|is))/i,
+  
+  // Words showing such a paragraph is about the rewrite rather than part of it
+  REWRITE_REFERENCE_PATTERN: /\b(?:rewr[io]t\w*|revis(?:ed|ion)|reword\w*|rephras\w*|humani[sz]\w*|(?:this|the|my|your) (?:version|text|draft)|original (?:text|version|wording|tone|meaning)|contractions|i (?:have|'ve)|hope this helps|let me know)\b/i,
+  
+  REFUSAL_PATTERN: /^\s*(?:i'?m sorry|i apologi[sz]e|i (?:cannot|can't|can not|am unable to|'m unable to|won't)\b)|\bas an ai(?: language model)?\b/i,
+  
+  /**
+   * Strip a preamble ("Here is the rewritten text:"), wrapping quotes or
+   * fences, and closing notes about the rewrite the source did not have
+   * @param {string} output - Model answer
+   * @param {string} source - Text that was rewritten
+   * @returns {string} Cleaned answer
+   */
+  clean(output, source = '') {
+    if (!output || typeof output !== 'string') return output;
+    
+    let text = output.trim();
+    if (!this.PREAMBLE_PATTERN.test(source.trim())) {
+      text = text.replace(this.PREAMBLE_PATTERN, '');
+    }
+    
+    // Closing notes only; check() reports any left in the middle
+    if (!this._notes(source).length) {
+      const parts = text.split(/(\n[ \t]*\n\s*)/);
+      while (parts.length > 1 && this._isNote(parts[parts.length - 1])) {
+        parts.splice(-2);
+      }
+      text = parts.join('');
+    }
+    
+    // A whole answer in quotes or a code fence, when the source was neither
+    const fenced = text.match(/^```[^\n]*\n([\s\S]*?)\n```$/);
+    if (fenced && !source.trim().startsWith('```')) {
+      text = fenced[1];
+    }
+    const quoted = text.match(/^(["“])([\s\S]*)(["”])$/);
+    if (quoted && !/^["“]/.test(source.trim()) && !/["“”]/.test(quoted[2])) {
+      text = quoted[2];
+    }
+    
+    return text.trim();
+  },
+  
+  /**
+   * Problems with an answer
+   * @param {string} source - Text that was rewritten (masked, if PII was masked)
+   * @param {string} output - Cleaned answer
+   * @param {Object} [options]
+   * @param {string} [options.category] - Text category, for the length limit
+   * @param {boolean} [options.keepParagraphs] - Whether the answer must keep the source's paragraph count
+   * @param {string} [options.language] - Language code the answer must be in (default: the source's)
+   * @param {string} [options.operation] - Operation from CONFIG.OPERATIONS; summaries and the like
+   *   skip the length and number checks
+   * @param {number} [options.lengthRatio] - Length target from LengthTarget.ratio(); the length is
+   *   then checked against it for every operation
+   * @returns {Array<{code: string, message: string, fix: string}>} Empty when the answer passes
+   */
+  check(source, output, { category = 'SHORT', keepParagraphs = false, language = null, operation = 'humanize', lengthRatio = null } = {}) {
+    const issues = [];
+    const { keepsLength, keepsFacts } = CONFIG.OPERATIONS[operation] || CONFIG.OPERATIONS.humanize;
+    const add = (code, message, fix) => issues.push({ code, message, fix });
+    
+    if (!output || !output.trim()) {
+      add('empty', 'the answer was empty', 'Return the full rewritten text.');
+      return issues;
+    }
+    
+    if (this.REFUSAL_PATTERN.test(output) && !this.REFUSAL_PATTERN.test(source)) {
+      add('refusal', 'the model refused or talked about itself', 'This is a harmless rewriting task. Rewrite the text without commenting on it.');
+    }
+    
+    // Length, with slack around the limit the prompt promised; a translation has its own length
+    const sourceLanguage = LanguageDetector.detect(source);
+    const translating = Boolean(language) && language !== sourceLanguage;
+    const { LENGTH_LIMITS, LENGTH_SLACK, MIN_WORDS_FOR_LENGTH } = CONFIG.QUALITY;
+    const sourceWords = TextUtils.countWords(source);
+    const outputWords = TextUtils.countWords(output);
+    const limit = LENGTH_LIMITS[category] || LENGTH_LIMITS.SHORT;
+    const targetWords = lengthRatio ? LengthTarget.words(source, lengthRatio) : sourceWords;
+    const change = targetWords ? outputWords / targetWords - 1 : 0;
+    if ((keepsLength || lengthRatio) && !translating && sourceWords >= MIN_WORDS_FOR_LENGTH && Math.abs(change) > limit * LENGTH_SLACK) {
+      const reference = lengthRatio ? 'the target length' : 'the original';
+      add(
+        'length',
+        `the answer was ${Math.round(Math.abs(change) * 100)}% ${change < 0 ? 'shorter' : 'longer'} than ${reference}`,
+        `Keep the length within ${Math.round(limit * 100)}% of ${reference}: about ${targetWords} words.`
+      );
+    }
+    
+    const expected = language || sourceLanguage;
+    const actual = LanguageDetector.detect(output);
+    if (expected && actual && expected !== actual) {
+      add(
+        'language',
+        `the answer was in ${LanguageDetector.name(actual)} instead of ${LanguageDetector.name(expected)}`,
+        `Write the whole answer in ${LanguageDetector.name(expected)}.`
+      );
+    }
+    
+    const missingNumbers = keepsFacts ? this._missing(this._numbers(source), this._numbers(output)) : [];
+    if (missingNumbers.length) {
+      add(
+        'numbers',
+        `numbers went missing (${missingNumbers.slice(0, 5).join(', ')})`,
+        `Keep every number exactly as written, including ${missingNumbers.slice(0, 5).join(', ')}.`
+      );
+    }
+    
+    const sourceTokens = this._placeholders(source);
+    const outputTokens = this._placeholders(output);
+    const missingTokens = this._missing(sourceTokens, outputTokens);
+    const inventedTokens = this._missing(outputTokens, sourceTokens);
+    if (missingTokens.length || inventedTokens.length) {
+      const detail = missingTokens.length ? `dropped ${missingTokens.slice(0, 5).join(', ')}` : `invented ${inventedTokens.slice(0, 5).join(', ')}`;
+      add(
+        'placeholders',
+        `placeholders were changed (${detail})`,
+        `Copy these placeholders exactly, double brackets included, and add no others: ${[...new Set(sourceTokens)].join(', ')}.`
+      );
+    }
+    
+    if (this._notes(output).length && !this._notes(source).length) {
+      add('notes', 'the answer included notes about the rewrite', 'Return only the rewritten text, with no notes or explanations of the changes.');
+    }
+    
+    const paragraphs = this._paragraphCount(source);
+    const paragraphCount = this._paragraphCount(output);
+    if (keepParagraphs && paragraphs > 1 && paragraphCount !== paragraphs) {
+      add(
+        'paragraphs',
+        `the answer had ${paragraphCount} paragraphs instead of ${paragraphs}`,
+        `Return exactly ${paragraphs} paragraphs separated by blank lines, one per original paragraph.`
+      );
+    }
+    
+    return issues;
+  },
+  
+  /**
+   * User prompt for another attempt, naming what was wrong
+   * @param {string} user - Original user prompt
+   * @param {Array<{message: string, fix: string}>} issues - Result of check()
+   * @returns {string}
+   */
+  correctivePrompt(user, issues) {
+    return `${user}
+
+Your previous answer was rejected because ${issues.map((issue) => issue.message).join('; ')}.
+Fix this: ${issues.map((issue) => issue.fix).join(' ')}
+Return ONLY the rewritten text.`;
+  },
+  
+  /**
+   * Short summary for the status line
+   * @param {Array<{message: string}>} issues - Result of check()
+   * @returns {string} Empty when there are no issues
+   */
+  describe(issues) {
+    if (!issues?.length) return '';
+    const text = issues.map((issue) => issue.message).join('; ');
+    return text[0].toUpperCase() + text.slice(1);
+  },
+  
+  /**
+   * Call the model, retrying with a corrective prompt while the answer fails the checks
+   * @param {LLMClient} llmClient - Client to call
+   * @param {{system: string, user: string}} prompt - Prompt for the first attempt
+   * @param {Object} params
+   * @param {string} params.source - Text being rewritten
+   * @param {string} params.category - Text category
+   * @param {boolean} [params.keepParagraphs] - Whether the answer must keep the paragraph count
+   * @param {string} [params.language] - Language code the answer must be in (default: the source's)
+   * @param {string} [params.operation] - Operation from CONFIG.OPERATIONS
+   * @param {number} [params.lengthRatio] - Length target from LengthTarget.ratio()
+   * @param {Object} [params.callOptions] - Options for LLMClient.call
+   * @param {Function} [params.onToken] - Called with the answer so far
+   * @param {Function} [params.onRetry] - Called with (issues, attempt, maxAttempts) before a retry
+   * @param {number} [params.maxAttempts] - Model calls allowed (default CONFIG.QUALITY.MAX_RETRIES + 1)
+   * @returns {Promise<{output: string, issues: Array}>} Best answer (fewest issues) and what is still wrong with it
+   * @throws {Error} If the first attempt fails; failed retries return the best answer so far
+   */
+  async call(llmClient, prompt, { source, category, keepParagraphs = false, language = null, operation = 'humanize', lengthRatio = null, callOptions = {}, onToken = null, onRetry = null, maxAttempts = CONFIG.QUALITY.MAX_RETRIES + 1 }) {
+    let user = prompt.user;
+    let best = null;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let raw;
+      try {
+        raw = await llmClient.call(prompt.system, user, category, (delta, partial) => {
+          if (onToken) onToken(partial);
+        }, callOptions);
+      } catch (error) {
+        // A failed retry keeps the answer we already have
+        if (!best) throw error;
+        console.warn(`Retry failed (attempt ${attempt}/${maxAttempts}), keeping the best answer:`, error);
+        break;
+      }
+      
+      // A stopped answer is partial on purpose; keep it as it is
+      if (llmClient.stopRequested) {
+        return { output: raw, issues: [] };
+      }
+      
+      const output = this.clean(raw, source);
+      const issues = this.check(source, output, { category, keepParagraphs, language, operation, lengthRatio });
+      if (!best || issues.length < best.issues.length) {
+        best = { output, issues };
+      }
+      if (!issues.length) break;
+      
+      console.warn(`Answer rejected (attempt ${attempt}/${maxAttempts}):`, issues.map((issue) => issue.code));
+      if (attempt < maxAttempts) {
+        if (onRetry) onRetry(issues, attempt + 1, maxAttempts);
+        user = this.correctivePrompt(prompt.user, issues);
+      }
+    }
+    
+    if (onToken) onToken(best.output);
+    return best;
+  },
+  
+  /**
+   * Paragraphs of text that are notes about the rewrite
+   * @private
+   */
+  _notes(text) {
+    return text.trim().split(/\n[ \t]*\n\s*/).filter((paragraph) => this._isNote(paragraph));
+  },
+  
+  /**
+   * Whether a paragraph opens like a note and refers to the rewrite
+   * @private
+   */
+  _isNote(paragraph) {
+    const text = paragraph.trim();
+    return this.EXPLANATION_PATTERN.test(text) && this.REWRITE_REFERENCE_PATTERN.test(text);
+  },
+  
+  /**
+   * Number of blank-line separated paragraphs
+   * @private
+   */
+  _paragraphCount(text) {
+    return text.trim().split(/\n[ \t]*\n\s*/).length;
+  },
+  
+  /**
+   * Numbers in text, without thousands separators
+   * @private
+   */
+  _numbers(text) {
+    const plain = text.replace(/\[\[[^\]]*\]\]/g, ' ');
+    return (plain.match(/\d+(?:[.,']\d+)*/g) || []).map((number) => number.replace(/[,']/g, ''));
+  },
+  
+  /**
+   * Placeholders in text
+   * @private
+   */
+  _placeholders(text) {
+    return text.match(/\[\[\/?[A-Z]+_\d+\]\]/g) || [];
+  },
+  
+  /**
+   * Items of a that b lacks (as a multiset), unique
+   * @private
+   */
+  _missing(a, b) {
+    const remaining = new Map();
+    b.forEach((item) => remaining.set(item, (remaining.get(item) || 0) + 1));
+    
+    const missing = new Set();
+    a.forEach((item) => {
+      if (remaining.get(item)) {
+        remaining.set(item, remaining.get(item) - 1);
+      } else {
+        missing.add(item);
+      }
+    });
+    return Array.from(missing);
+  }
+};
+
+// ============================================================================
+// LLM PROVIDERS MODULE
+// ============================================================================
+
+/**
+ * Backend adapters. Each one maps the generic request (messages, sampling
+ * params, max tokens) to its server's API and parses what comes back.
+ */
+const LLMProviders = {
+  /**
+   * LM Studio (OpenAI-compatible, accepts repeat_penalty)
+   */
+  lmstudio: {
+    label: 'LM Studio',
+    defaultUrl: 'http://localhost:1234',
+    modelsPath: '/v1/models',
+    
+    buildRequest(options) {
+      const request = LLMProviders.openai.buildRequest(options);
+      request.body.repeat_penalty = options.params.repeat_penalty;
+      return request;
+    },
+    
+    parseStreamLine(line) {
+      return LLMProviders.openai.parseStreamLine(line);
+    },
+    
+    parseResponse(data) {
+      return LLMProviders.openai.parseResponse(data);
+    },
+    
+    parseModels(data) {
+      return LLMProviders.openai.parseModels(data);
+    }
+  },
+  
+  /**
+   * Generic OpenAI-compatible server (vLLM, LocalAI, text-generation-webui...)
+   */
+  openai: {
+    label: 'OpenAI-compatible server',
+    defaultUrl: 'http://localhost:8000',
+    modelsPath: '/v1/models',
+    
+    buildRequest({ model, system, user, params, temperature, seed, maxTokens }) {
+      return {
+        path: '/v1/chat/completions',
+        body: {
+          model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+          ],
+          temperature,
+          max_tokens: maxTokens,
+          top_p: params.top_p,
+          frequency_penalty: params.frequency_penalty,
+          presence_penalty: params.presence_penalty,
+          ...(seed !== undefined && { seed }),
+          stream: true
+        }
+      };
+    },
+    
+    parseStreamLine(line) {
+      const data = LLMProviders._sseData(line);
+      if (data === null) return null;
+      if (data === '[DONE]') return { delta: '', done: true };
+      
+      const chunk = LLMProviders._parseJSON(data);
+      if (!chunk) return null;
+      if (chunk.error) throw new Error(LLMProviders.errorMessage(chunk));
+      
+      return { delta: chunk.choices?.[0]?.delta?.content || '', done: false };
+    },
+    
+    parseResponse(data) {
+      return data.choices?.[0]?.message?.content || '';
+    },
+    
+    parseModels(data) {
+      return (data.data || []).map((model) => model.id);
+    }
+  },
+  
+  /**
+   * Ollama native API (newline-delimited JSON stream)
+   */
+  ollama: {
+    label: 'Ollama',
+    defaultUrl: 'http://localhost:11434',
+    modelsPath: '/api/tags',
+    
+    buildRequest({ model, system, user, params, temperature, seed, maxTokens }) {
+      return {
+        path: '/api/chat',
+        body: {
+          model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+          ],
+          stream: true,
+          options: {
+            temperature,
+            num_predict: maxTokens,
+            top_p: params.top_p,
+            repeat_penalty: params.repeat_penalty,
+            frequency_penalty: params.frequency_penalty,
+            presence_penalty: params.presence_penalty,
+            ...(seed !== undefined && { seed })
+          }
+        }
+      };
+    },
+    
+    parseStreamLine(line) {
+      const chunk = LLMProviders._parseJSON(line.trim());
+      if (!chunk) return null;
+      if (chunk.error) throw new Error(LLMProviders.errorMessage(chunk));
+      
+      return { delta: chunk.message?.content || '', done: Boolean(chunk.done) };
+    },
+    
+    parseResponse(data) {
+      return data.message?.content || '';
+    },
+    
+    parseModels(data) {
+      return (data.models || []).map((model) => model.name || model.model);
+    }
+  },
+  
+  /**
+   * llama.cpp server native completion endpoint
+   */
+  llamacpp: {
+    label: 'llama.cpp server',
+    defaultUrl: 'http://localhost:8080',
+    modelsPath: '/v1/models',
+    
+    buildRequest({ system, user, params, temperature, seed, maxTokens }) {
+      // /completion takes a raw prompt; user prompts already end with an answer cue
+      return {
+        path: '/completion',
+        body: {
+          prompt: `${system}\n\n${user}\n`,
+          n_predict: maxTokens,
+          temperature,
+          top_p: params.top_p,
+          repeat_penalty: params.repeat_penalty,
+          frequency_penalty: params.frequency_penalty,
+          presence_penalty: params.presence_penalty,
+          cache_prompt: true,
+          ...(seed !== undefined && { seed }),
+          stream: true
+        }
+      };
+    },
+    
+    parseStreamLine(line) {
+      const data = LLMProviders._sseData(line);
+      if (data === null) return null;
+      
+      const chunk = LLMProviders._parseJSON(data);
+      if (!chunk) return null;
+      if (chunk.error) throw new Error(LLMProviders.errorMessage(chunk));
+      
+      return { delta: chunk.content || '', done: Boolean(chunk.stop) };
+    },
+    
+    parseResponse(data) {
+      return data.content || '';
+    },
+    
+    parseModels(data) {
+      return LLMProviders.openai.parseModels(data);
+    }
+  },
+  
+  /**
+   * Get adapter by ID, defaulting to LM Studio
+   * @param {string} id - Provider ID from settings
+   * @returns {Object} Provider adapter
+   */
+  get(id) {
+    const provider = this[id];
+    return provider && provider.buildRequest ? provider : this.lmstudio;
+  },
+  
+  /**
+   * IDs of all adapters
+   * @returns {string[]} Provider IDs
+   */
+  ids() {
+    return Object.keys(this).filter((key) => this[key]?.buildRequest);
+  },
+  
+  /**
+   * Extract a readable message from an error body
+   * @param {Object|string} body - Parsed JSON or raw text
+   * @returns {string} Error message
+   */
+  errorMessage(body) {
+    if (typeof body === 'string') {
+      try {
+        return this.errorMessage(JSON.parse(body));
+      } catch (error) {
+        return body;
+      }
+    }
+    
+    const { error } = body || {};
+    if (typeof error === 'string') return error;
+    return error?.message || JSON.stringify(body);
+  },
+  
+  /**
+   * Payload of an SSE `data:` line
+   * @private
+   */
+  _sseData(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return null;
+    return trimmed.slice(5).trim();
+  },
+  
+  /**
+   * Parse JSON, logging and skipping malformed chunks
+   * @private
+   */
+  _parseJSON(text) {
+    if (!text) return null;
+    
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      console.warn('Skipping malformed stream chunk:', text);
+      return null;
+    }
+  }
+};
+
+// ============================================================================
+// LLM API MODULE
+// ============================================================================
+
+class LLMClient {
+  /**
+   * @param {Object} [settings] - Settings from StateManager.loadSettings()
+   */
+  constructor(settings = null) {
+    this.settings = settings || StateManager.defaultSettings();
+    this.controller = null;
+    this.stopRequested = false;
+  }
+  
+  /**
+   * Apply saved settings
+   * @param {Object} settings - Settings from StateManager.loadSettings()
+   */
+  configure(settings) {
+    this.settings = settings;
+  }
+  
+  /**
+   * Adapter for the configured backend
+   * @returns {Object} Provider adapter
+   */
+  get provider() {
+    return LLMProviders.get(this.settings.provider);
+  }
+  
+  /**
+   * Call local LLM with adaptive parameters, streaming tokens as they arrive
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @param {string} category - Text category (for timeout calculation)
+   * @param {Function} [onToken] - Called with (delta, fullText) for each streamed chunk
+   * @param {Object} [options]
+   * @param {string} [options.tone] - Tone, used for per-tone temperature overrides
+   * @param {string} [options.model] - Model ID overriding the configured one
+   * @param {number} [options.temperature] - Temperature overriding the configured one
+   * @param {number} [options.seed] - Sampling seed, for backends that support one
+   * @param {number} [options.maxTokens] - Answer size limit, e.g. from LengthTarget.maxTokens()
+   * @returns {Promise<string>} Generated text (partial if stopped by the user)
+   */
+  async call(systemPrompt, userPrompt, category, onToken = null, options = {}) {
+    const controller = new AbortController();
+    const timeoutDuration = TextUtils.getTimeout(category);
+    let timeoutId = setTimeout(() => controller.abort(), timeoutDuration);
+    let content = '';
+    
+    this.controller = controller;
+    this.stopRequested = false;
+    
+    try {
+      // Without a size from the caller, allow an answer as long as the whole prompt
+      const maxTokens = options.maxTokens || TextUtils.calculateMaxTokens(TextUtils.countWords(userPrompt));
+      const provider = this.provider;
+      
+      const { path, body } = provider.buildRequest({
+        model: options.model || this.settings.model,
+        system: systemPrompt,
+        user: userPrompt,
+        params: this.settings.params,
+        temperature: options.temperature !== undefined ? options.temperature : this.getTemperature(options.tone),
+        seed: options.seed,
+        maxTokens
+      });
+      
+      const response = await fetch(`${this.settings.serverUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        const errorText = await response.text();
+        const message = errorText ? LLMProviders.errorMessage(errorText) : response.statusText;
+        throw new Error(`HTTP ${response.status}: ${message}`);
+      }
+      
+      // Timeout now measures inactivity: every chunk pushes the deadline back
+      content = await this._readStream(response, provider, (delta) => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), timeoutDuration);
+        content += delta;
+        if (onToken) onToken(delta, content);
+      });
+      
+      clearTimeout(timeoutId);
+      
+      if (!content) {
+        throw new Error('Empty response from LLM');
+      }
+      
+      return content.trim();
+      
+    } catch (error) {
+      clearTimeout(timeoutId);
+      
+      // User pressed Stop: keep whatever was generated so far
+      if (error.name === 'AbortError' && this.stopRequested) {
+        return content.trim();
+      }
+      
+      this._handleError(error);
+    } finally {
+      this.controller = null;
+    }
+  }
+  
+  /**
+   * Get sampling temperature, honouring per-tone overrides
+   * @param {string} [tone] - Tone preference
+   * @returns {number} Temperature
+   */
+  getTemperature(tone) {
+    const override = tone ? this.settings.toneTemperatures?.[tone] : undefined;
+    return override !== undefined ? override : this.settings.params.temperature;
+  }
+  
+  /**
+   * List models available on the configured server
+   * @returns {Promise<string[]>} Model IDs
+   */
+  async listModels() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUTS.CONNECTION_TEST);
+    const provider = this.provider;
+    
+    try {
+      const response = await fetch(`${this.settings.serverUrl}${provider.modelsPath}`, {
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const data = await response.json();
+      return provider.parseModels(data).filter(Boolean);
+      
+    } catch (error) {
+      this._handleError(error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+  
+  /**
+   * Abort the in-flight request on behalf of the user
+   * @returns {boolean} Whether there was a request to abort
+   */
+  abort() {
+    if (!this.controller) return false;
+    
+    this.stopRequested = true;
+    this.controller.abort();
+    return true;
+  }
+  
+  /**
+   * Read a streamed response line by line through the provider adapter
+   * @private
+   * @param {Response} response - Fetch response (SSE or NDJSON body)
+   * @param {Object} provider - Provider adapter
+   * @param {Function} onDelta - Called with each content delta
+   * @returns {Promise<string>} Concatenated content
+   */
+  async _readStream(response, provider, onDelta) {
+    // Servers that ignore `stream: true` reply with a plain JSON body
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json')) {
+      const data = await response.json();
+      if (data.error) throw new Error(LLMProviders.errorMessage(data));
+      
+      const content = provider.parseResponse(data);
+      if (content) onDelta(content);
+      return content;
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    
+    const handleLine = (line) => {
+      const parsed = provider.parseStreamLine(line);
+      if (!parsed) return false;
+      
+      if (parsed.delta) {
+        content += parsed.delta;
+        onDelta(parsed.delta);
+      }
+      return parsed.done;
+    };
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      for (const line of lines) {
+        if (handleLine(line)) {
+          reader.cancel().catch(() => {});
+          return content;
+        }
+      }
+    }
+    
+    handleLine(buffer);
+    return content;
+  }
+  
+  /**
+   * Handle and translate errors
+   * @private
+   */
+  _handleError(error) {
+    const label = this.provider.label;
+    
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timeout. Text too long or ${label} slow. Try shorter text.`);
+    }
+    
+    if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+      throw new Error(`Cannot connect to ${label}. Ensure it's running on ${this._serverHost()}.`);
+    }
+    
+    throw error;
+  }
+  
+  /**
+   * Host and port of the configured server, for error messages
+   * @private
+   */
+  _serverHost() {
+    try {
+      return new URL(this.settings.serverUrl).host;
+    } catch (error) {
+      return this.settings.serverUrl;
+    }
+  }
+}
+
+// ============================================================================
+// CHUNKED PIPELINE MODULE
+// ============================================================================
+
+class ChunkedPipeline {
+  /**
+   * @param {LLMClient} llmClient - Client used for every chunk
+   */
+  constructor(llmClient) {
+    this.llmClient = llmClient;
+  }
+  
+  /**
+   * Rewrite long text chunk by chunk with a rolling context
+   * @param {string} text - Input text (already masked if needed)
+   * @param {Object} params - Rewrite parameters: perspective, tone, style, model, extras and optional temperature/seed
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onProgress] - Called with (index, total, attempt) before each request
+   * @param {Function} [callbacks.onToken] - Called with the reassembled output so far
+   * @param {Function} [callbacks.onRetry] - Called with (issues, attempt, maxAttempts) when a chunk's answer is rejected
+   * @returns {Promise<{text: string, failed: Array<{index: number, error: Error}>, issues: Array, stopped: boolean}>}
+   *   issues lists quality problems left in chunks after all retries
+   */
+  async run(text, params, { onProgress = null, onToken = null, onRetry = null } = {}) {
+    const chunks = DocumentChunker.split(text);
+    const outputs = [];
+    const failed = [];
+    const issues = [];
+    let context = '';
+    
+    for (let i = 0; i < chunks.length; i++) {
+      const renderPartial = (partial) => {
+        if (onToken) onToken(DocumentChunker.join(chunks, [...outputs, partial]));
+      };
+      
+      const { output, error, issues: chunkIssues } = await this._rewriteChunk(chunks[i].text, params, context, i, chunks.length, {
+        onProgress,
+        onToken: renderPartial,
+        onRetry
+      });
+      
+      if (this.llmClient.stopRequested) {
+        if (output) outputs.push(output);
+        return { text: DocumentChunker.join(chunks, outputs), failed, issues, stopped: true };
+      }
+      
+      issues.push(...chunkIssues);
+      
+      // Keep the original wording when a chunk cannot be rewritten
+      if (error) {
+        failed.push({ index: i, error });
+        outputs.push(chunks[i].text);
+      } else {
+        outputs.push(output);
+      }
+      
+      context = outputs[i].split(/\s+/).slice(-CONFIG.CHUNKING.CONTEXT_WORDS).join(' ');
+      renderPartial('');
+    }
+    
+    return { text: DocumentChunker.join(chunks, outputs), failed, issues, stopped: false };
+  }
+  
+  /**
+   * Rewrite a single chunk, retrying on failure; failed calls and QualityGate
+   * retries draw on one budget of CONFIG.CHUNKING.MAX_RETRIES + 1 model calls
+   * @private
+   * @returns {Promise<{output: string|null, error: Error|null, issues: Array}>}
+   */
+  async _rewriteChunk(text, params, context, index, total, { onProgress, onToken, onRetry }) {
+    const { perspective, tone, style, model, temperature, seed, extras } = params;
+    const { system, user } = PromptBuilder.buildChunk(text, perspective, tone, style, context, index, total, extras);
+    const category = TextUtils.getTextCategory(text);
+    const budget = CONFIG.CHUNKING.MAX_RETRIES + 1;
+    let lastError = null;
+    
+    // QualityGate only throws when its first call fails, so a failure costs one call
+    for (let attempt = 0; attempt < budget; attempt++) {
+      if (onProgress) onProgress(index, total, attempt);
+      
+      try {
+        const { output, issues } = await QualityGate.call(this.llmClient, { system, user }, {
+          source: text,
+          category,
+          keepParagraphs: Boolean(extras?.keepParagraphs),
+          language: extras?.targetLanguage,
+          operation: extras?.operation,
+          lengthRatio: extras?.lengthRatio,
+          callOptions: { tone, model, temperature, seed, maxTokens: LengthTarget.maxTokens(text, extras) },
+          onToken,
+          onRetry,
+          maxAttempts: budget - attempt
+        });
+        return { output, error: null, issues };
+      } catch (error) {
+        console.warn(`Chunk ${index + 1}/${total} attempt ${attempt + 1} failed:`, error);
+        lastError = error;
+      }
+    }
+    
+    return { output: null, error: lastError, issues: [] };
+  }
+}
+
+// ============================================================================
+// HUMANIZE PIPELINE MODULE
+// ============================================================================
+
+/**
+ * Mask → prompt → LLM → post-process → unmask for every operation in
+ * CONFIG.OPERATIONS, shared by the popup and the background service worker
+ */
+class HumanizePipeline {
+  /**
+   * @param {LLMClient} llmClient - Client for model calls
+   * @param {PIIMasker} piiMasker - Masker holding the token map for this run
+   */
+  constructor(llmClient, piiMasker) {
+    this.llmClient = llmClient;
+    this.piiMasker = piiMasker;
+    this.chunkedPipeline = new ChunkedPipeline(llmClient);
+  }
+  
+  /**
+   * Humanize (or summarize, simplify...) text, optionally generating several candidate variants
+   * @param {string} text - Validated input text
+   * @param {Object} options
+   * @param {string} options.perspective - Writing perspective
+   * @param {string} options.tone - Tone preference
+   * @param {string} options.style - Style preference
+   * @param {string} [options.model] - Model ID overriding the configured one
+   * @param {boolean} options.maskBefore - Mask PII before sending
+   * @param {boolean} options.maskAfter - Restore masked PII in the result
+   * @param {Object} [options.piiTypes] - Map of PII entity type to enabled flag
+   * @param {string[]} [options.piiNames] - Extra names to always mask
+   * @param {string[]} [options.piiAlwaysMask] - Terms to mask wherever they appear
+   * @param {string} [options.piiMode] - 'token' (default) or 'surrogate' for realistic stand-ins
+   * @param {number} [options.variants] - Number of candidates (1 to CONFIG.VARIANTS.MAX)
+   * @param {Object} [options.preset] - Active preset, adding instructions, banned words and a sample
+   * @param {boolean} [options.preserveStructure] - Rewrite only the prose of Markdown input, leaving
+   *   headings, list markers, code, tables and links as they are
+   * @param {Object} [options.richText] - Marks from RichText.fromHtml() when text is marked HTML;
+   *   results then come back as plain text plus HTML
+   * @param {boolean} [options.postProcess] - Run PostProcessor on the output (default true)
+   * @param {Array<{from: string, to: string, regex?: boolean}>} [options.preferredWords] - Post-processing word swaps
+   * @param {string[]} [options.bannedWords] - Words post-processing removes from the output
+   * @param {string} [options.targetLanguage] - Language code to translate into while rewriting;
+   *   empty keeps the input's language
+   * @param {string} [options.operation] - Operation from CONFIG.OPERATIONS (default humanize)
+   * @param {string} [options.summaryLength] - Key of CONFIG.SUMMARY_LENGTHS, for summarize
+   * @param {number} [options.readingLevel] - Key of CONFIG.READING_LEVELS, for simplify
+   * @param {{mode: string, value?: number}} [options.length] - Length target (see LengthTarget.ratio());
+   *   grammar fixes ignore it
+   * @param {{profile: Object, mode: string}} [options.voice] - Voice profile to match (from
+   *   StateManager.loadVoiceProfiles()) and a key of CONFIG.VOICE_MODES
+   * @param {Array<{term: string, regex: boolean, replacement: string, caseSensitive: boolean}>} [options.glossary] - Protected
+   *   terms the model never sees, and preferred replacements enforced on the result
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onToken] - Called with the (unmasked) output so far and the variant index
+   * @param {Function} [callbacks.onProgress] - Called with (index, total, attempt) for chunked text
+   * @param {Function} [callbacks.onVariant] - Called with (index, total) before each variant
+   * @param {Function} [callbacks.onReview] - Called with (text, entities) before anything is sent;
+   *   resolves to the entities to mask, or null to cancel the run
+   * @param {Function} [callbacks.onMasked] - Called with PII counts by type before anything is sent
+   * @param {Function} [callbacks.onRetry] - Called with (issues, attempt, maxAttempts) when QualityGate
+   *   rejects an answer and asks again
+   * @returns {Promise<Object|null>} {text, html, stopped, failedChunks, maskedInput, maskedOutput, maskedCounts,
+   *   restoration, formattingLost, postEdits, qualityIssues, targetWords, variants}, or null if the review was cancelled; top-level
+   *   fields describe the first variant, maskedInput/maskedOutput are the tokenized texts when PII was
+   *   masked, restoration lists missing/duplicated tokens when PII was restored or glossary terms locked, html/formattingLost
+   *   (the number of marks the model dropped) are set for rich text and postEdits counts
+   *   post-processing and glossary replacements; qualityIssues lists QualityGate problems no retry fixed and targetWords
+   *   is the requested length, or null without a length target
+   */
+  async run(text, options, { onToken = null, onProgress = null, onVariant = null, onReview = null, onMasked = null, onRetry = null } = {}) {
+    const { maskBefore, maskAfter } = options;
+    const count = Math.min(Math.max(Number(options.variants) || 1, 1), CONFIG.VARIANTS.MAX);
+    
+    // Determine text category
+    const category = TextUtils.getTextCategory(text);
+    
+    // Step 1: Mask PII if needed
+    let textToProcess = text;
+    let maskedCounts = {};
+    if (maskBefore) {
+      let entities = PIIDetector.detect(text, {
+        types: options.piiTypes,
+        names: options.piiNames,
+        alwaysMask: options.piiAlwaysMask
+      });
+      
+      if (onReview) {
+        entities = await onReview(text, entities);
+        if (!entities) return null;
+      }
+      
+      textToProcess = this.piiMasker.mask(text, true, { entities, mode: options.piiMode });
+      maskedCounts = this.piiMasker.getCounts();
+      if (onMasked) onMasked(maskedCounts);
+    }
+    
+    const restorePII = maskBefore && maskAfter;
+    const variants = [];
+    
+    // Protected glossary terms travel as placeholders, like masked PII
+    const locked = Glossary.lock(textToProcess, options.glossary);
+    
+    // The length target travels as a ratio so every chunk or block gets its share;
+    // a grammar fix keeps the author's wording and so has no target
+    const lengthRatio = this._operation(options) === 'grammar' ? null : LengthTarget.ratio(options.length, TextUtils.countWords(text));
+    const runOptions = { ...options, lengthRatio };
+    
+    // Rewrite only the prose of Markdown-like input, keeping its layout
+    const operation = CONFIG.OPERATIONS[this._operation(options)];
+    let structure = null;
+    if (options.preserveStructure && operation.keepsStructure) {
+      const blocks = MarkdownStructure.parse(locked.text);
+      if (MarkdownStructure.hasStructure(blocks)) {
+        structure = { blocks, segments: MarkdownStructure.proseSegments(blocks) };
+      }
+    }
+    
+    for (let index = 0; index < count; index++) {
+      if (onVariant) onVariant(index, count);
+      
+      // A single run keeps the configured sampling; variants spread it out
+      const sampling = count > 1 ? this._variantSampling(options.tone, index) : {};
+      
+      // Step 2-3: Build prompt and call LLM, streaming partial output
+      const render = (partial) => {
+        if (!onToken) return;
+        const unmasked = Glossary.unlock(restorePII ? this.piiMasker.unmask(partial) : partial, locked);
+        onToken(options.richText ? RichText.toPlain(unmasked, options.richText) : unmasked, index);
+      };
+      const hooks = { render, onProgress, onRetry };
+      const { raw, failedChunks, qualityIssues } = structure
+        ? await this._generateStructured(structure, { ...runOptions, ...sampling }, hooks)
+        : await this._generate(locked.text, category, { ...runOptions, ...sampling }, hooks);
+      const stopped = this.llmClient.stopRequested;
+      
+      // Step 4: Post-process
+      let result = raw;
+      let postEdits = 0;
+      if (options.postProcess !== false) {
+        const processed = PostProcessor.process(raw, {
+          tone: operation.toneRules ? options.tone : null,
+          language: LanguageDetector.detect(raw),
+          preferredWords: options.preferredWords,
+          bannedWords: options.bannedWords
+        });
+        result = processed.text;
+        postEdits = processed.applied;
+      }
+      
+      // Glossary replacements hold even with post-processing off
+      const enforced = Glossary.enforce(result, options.glossary);
+      const terms = Glossary.restore(enforced.text, locked);
+      result = terms.text;
+      postEdits += enforced.applied;
+      const maskedOutput = result;
+      
+      // Step 5: Unmask PII if it was masked, noting tokens (and glossary terms) the model lost
+      let restoration = locked.terms.size ? terms : null;
+      if (restorePII) {
+        const pii = this.piiMasker.restore(result);
+        result = pii.text;
+        restoration = {
+          text: pii.text,
+          missing: [...pii.missing, ...terms.missing],
+          duplicated: [...pii.duplicated, ...terms.duplicated]
+        };
+      }
+      
+      // Step 6: Turn formatting placeholders back into HTML
+      let html = null;
+      let formattingLost = 0;
+      if (options.richText) {
+        const rich = RichText.toHtml(result, options.richText);
+        html = rich.html;
+        formattingLost = rich.missing.length;
+        result = RichText.toPlain(result, options.richText);
+      }
+      
+      variants.push({
+        text: result,
+        html,
+        formattingLost,
+        postEdits,
+        qualityIssues,
+        stopped,
+        failedChunks,
+        maskedOutput: maskBefore ? maskedOutput : null,
+        restoration: restoration && { missing: restoration.missing, duplicated: restoration.duplicated },
+        temperature: sampling.temperature !== undefined ? sampling.temperature : this.llmClient.getTemperature(options.tone)
+      });
+      
+      if (stopped) break;
+    }
+    
+    const [first] = variants;
+    
+    return {
+      text: first.text,
+      html: first.html,
+      stopped: variants.some((variant) => variant.stopped),
+      failedChunks: first.failedChunks,
+      maskedInput: maskBefore ? textToProcess : null,
+      maskedOutput: first.maskedOutput,
+      maskedCounts,
+      restoration: first.restoration,
+      formattingLost: first.formattingLost,
+      postEdits: first.postEdits,
+      qualityIssues: first.qualityIssues,
+      targetWords: lengthRatio ? LengthTarget.words(text, lengthRatio) : null,
+      variants
+    };
+  }
+  
+  /**
+   * Generate raw model output for (masked) text
+   * @private
+   * @returns {Promise<{raw: string, failedChunks: Array<{index: number, error: Error}>, qualityIssues: Array}>}
+   */
+  async _generate(textToProcess, category, options, { render, onProgress, onRetry }) {
+    const { perspective, tone, style, model, temperature, seed } = options;
+    const extras = options.extras || this._extras(options);
+    
+    if (category === 'VERY_LONG') {
+      const outcome = await this.chunkedPipeline.run(textToProcess, { perspective, tone, style, model, temperature, seed, extras }, {
+        onProgress,
+        onToken: render,
+        onRetry
+      });
+      return { raw: outcome.text, failedChunks: outcome.failed, qualityIssues: this._uniqueIssues(outcome.issues) };
+    }
+    
+    const { system, user } = PromptBuilder.build(textToProcess, perspective, tone, style, category, extras);
+    const { output, issues } = await QualityGate.call(this.llmClient, { system, user }, {
+      source: textToProcess,
+      category,
+      keepParagraphs: Boolean(extras.keepParagraphs),
+      language: extras.targetLanguage,
+      operation: extras.operation,
+      lengthRatio: extras.lengthRatio,
+      callOptions: { tone, model, temperature, seed, maxTokens: LengthTarget.maxTokens(textToProcess, extras) },
+      onToken: render,
+      onRetry
+    });
+    return { raw: output, failedChunks: [], qualityIssues: issues };
+  }
+  
+  /**
+   * Rewrite the prose blocks of structured text and rebuild the document around them
+   * @private
+   * @returns {Promise<{raw: string, failedChunks: Array<{index: number, error: Error}>, qualityIssues: Array}>}
+   */
+  async _generateStructured({ blocks, segments }, options, { render, onProgress, onRetry }) {
+    if (!segments.length) {
+      return { raw: blocks.map((block) => block.raw).join('\n'), failedChunks: [], qualityIssues: [] };
+    }
+    
+    // All prose goes out as one document, one paragraph per segment
+    const prose = segments.map((segment) => segment.text).join('\n\n');
+    const paragraphs = (output) => output.trim().split(/\n[ \t]*\n\s*/);
+    const renderDocument = (partial) => render(MarkdownStructure.rebuild(blocks, segments, paragraphs(partial)).text);
+    const extras = { ...this._extras(options), keepParagraphs: true };
+    
+    const { raw, failedChunks, qualityIssues } = await this._generate(prose, TextUtils.getTextCategory(prose), { ...options, extras }, {
+      render: renderDocument,
+      onProgress,
+      onRetry
+    });
+    let outputs = paragraphs(raw);
+    
+    // The model merged or split paragraphs: rewrite each block on its own instead
+    if (outputs.length !== segments.length && !this.llmClient.stopRequested) {
+      console.warn(`Expected ${segments.length} paragraphs, got ${outputs.length}. Rewriting blocks one by one.`);
+      return this._generateBlocks(blocks, segments, options, { render, onProgress, onRetry });
+    }
+    
+    const rebuilt = MarkdownStructure.rebuild(blocks, segments, outputs);
+    rebuilt.failed.forEach((index) => failedChunks.push({ index, error: new Error('Links or code were dropped from this paragraph') }));
+    return { raw: rebuilt.text, failedChunks, qualityIssues };
+  }
+  
+  /**
+   * Rewrite prose blocks one request at a time, keeping the original wording of any that fail
+   * @private
+   * @returns {Promise<{raw: string, failedChunks: Array<{index: number, error: Error}>, qualityIssues: Array}>}
+   */
+  async _generateBlocks(blocks, segments, options, { render, onProgress, onRetry }) {
+    const { perspective, tone, style, model, temperature, seed } = options;
+    const extras = this._extras(options);
+    const outputs = [];
+    const failedChunks = [];
+    const qualityIssues = [];
+    
+    for (let i = 0; i < segments.length; i++) {
+      if (onProgress) onProgress(i, segments.length, 0);
+      
+      const category = TextUtils.getTextCategory(segments[i].text);
+      const { system, user } = PromptBuilder.build(segments[i].text, perspective, tone, style, category, extras);
+      
+      try {
+        const { output, issues } = await QualityGate.call(this.llmClient, { system, user }, {
+          source: segments[i].text,
+          category,
+          language: extras.targetLanguage,
+          operation: extras.operation,
+          lengthRatio: extras.lengthRatio,
+          callOptions: { tone, model, temperature, seed, maxTokens: LengthTarget.maxTokens(segments[i].text, extras) },
+          onToken: (partial) => render(MarkdownStructure.rebuild(blocks, segments, [...outputs.slice(0, i), partial]).text),
+          onRetry
+        });
+        outputs[i] = output;
+        qualityIssues.push(...issues);
+      } catch (error) {
+        if (this.llmClient.stopRequested) break;
+        console.warn(`Block ${i + 1}/${segments.length} failed:`, error);
+        failedChunks.push({ index: i, error });
+      }
+      
+      if (this.llmClient.stopRequested) break;
+    }
+    
+    const rebuilt = MarkdownStructure.rebuild(blocks, segments, outputs);
+    rebuilt.failed.forEach((index) => failedChunks.push({ index, error: new Error('Links or code were dropped from this paragraph') }));
+    return { raw: rebuilt.text, failedChunks, qualityIssues: this._uniqueIssues(qualityIssues) };
+  }
+  
+  /**
+   * Prompt extras for a run: the preset's guidance, the translation target, the length target, the voice
+   * to match, the glossary and the operation
+   * @private
+   */
+  _extras(options) {
+    return {
+      ...PromptBuilder.presetExtras(options.preset),
+      targetLanguage: options.targetLanguage || null,
+      lengthRatio: options.lengthRatio || null,
+      voice: options.voice ? VoiceProfiler.guidance(options.voice.profile, options.voice.mode) : null,
+      glossary: options.glossary || [],
+      operation: this._operation(options),
+      summaryLength: options.summaryLength,
+      readingLevel: options.readingLevel
+    };
+  }
+  
+  /**
+   * Operation ID for a run, humanize unless a known one was asked for
+   * @private
+   */
+  _operation(options) {
+    return CONFIG.OPERATIONS[options.operation] ? options.operation : 'humanize';
+  }
+  
+  /**
+   * First issue of each kind, for issues collected across several requests
+   * @private
+   */
+  _uniqueIssues(issues) {
+    const seen = new Set();
+    return issues.filter((issue) => !seen.has(issue.code) && seen.add(issue.code));
+  }
+  
+  /**
+   * Temperature and seed for one of several variants
+   * @private
+   */
+  _variantSampling(tone, index) {
+    const { TEMPERATURE_OFFSETS, MIN_TEMPERATURE, MAX_TEMPERATURE } = CONFIG.VARIANTS;
+    const base = this.llmClient.getTemperature(tone);
+    const offset = TEMPERATURE_OFFSETS[index % TEMPERATURE_OFFSETS.length];
+    const temperature = Math.min(Math.max(base + offset, MIN_TEMPERATURE), MAX_TEMPERATURE);
+    
+    return {
+      temperature: Math.round(temperature * 100) / 100,
+      seed: Math.floor(Math.random() * 2147483647)
+    };
+  }
+}
+
+// ============================================================================
+// HISTORY MODULE
+// ============================================================================
+
+class HistoryStore {
+  /**
+   * List history entries, newest first
+   * @param {string} [query] - Case-insensitive search over text and settings
+   * @returns {Promise<Object[]>} Matching entries
+   */
+  async list(query = '') {
+    const entries = await this._read();
+    const needle = query.trim().toLowerCase();
+    if (!needle) return entries;
+    
+    return entries.filter((entry) => [
+      entry.input,
+      entry.output,
+      entry.perspective,
+      entry.tone,
+      entry.style,
+      entry.model,
+      entry.preset
+    ].some((value) => (value || '').toLowerCase().includes(needle)));
+  }
+  
+  /**
+   * Add an entry, enforcing the size cap
+   * @param {Object} entry - Input, output and settings of a run
+   * @returns {Promise<Object>} Stored entry with id and timestamp
+   */
+  async add(entry) {
+    const stored = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: Date.now(),
+      ...entry
+    };
+    
+    const entries = [stored, ...(await this._read())];
+    await this._write(this._applyCap(entries));
+    return stored;
+  }
+  
+  /**
+   * Delete one entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const entries = await this._read();
+    await this._write(entries.filter((entry) => entry.id !== id));
+  }
+  
+  /**
+   * Delete all entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._write([]);
+  }
+  
+  /**
+   * Drop the oldest entries beyond the count and size limits
+   * @private
+   */
+  _applyCap(entries) {
+    const { MAX_ENTRIES, MAX_CHARS } = CONFIG.HISTORY;
+    const capped = entries.slice(0, MAX_ENTRIES);
+    
+    let total = capped.reduce((sum, entry) => sum + JSON.stringify(entry).length, 0);
+    while (capped.length > 1 && total > MAX_CHARS) {
+      total -= JSON.stringify(capped.pop()).length;
+    }
+    
+    return capped;
+  }
+  
+  /**
+   * @private
+   */
+  async _read() {
+    const key = CONFIG.HISTORY.STORAGE_KEY;
+    
+    return new Promise((resolve) => {
+      chrome.storage.local.get([key], (result) => {
+        resolve(Array.isArray(result?.[key]) ? result[key] : []);
+      });
+    });
+  }
+  
+  /**
+   * @private
+   */
+  async _write(entries) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [CONFIG.HISTORY.STORAGE_KEY]: entries }, resolve);
+    });
+  }
+}
+
+// ============================================================================
+// STATE MANAGEMENT MODULE
+// ============================================================================
+
+class StateManager {
+  /**
+   * Load state from Chrome storage
+   * @returns {Promise<Object>} Saved state
+   */
+  async load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(Object.values(CONFIG.STORAGE_KEYS), (result) => {
+        resolve(result || {});
+      });
+    });
+  }
+  
+  /**
+   * Save state to Chrome storage
+   * @param {Object} state - State to save
+   * @returns {Promise<void>}
+   */
+  async save(state) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set(state, resolve);
+    });
+  }
+  
+  /**
+   * Clear all saved state
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    return new Promise((resolve) => {
+      chrome.storage.local.clear(resolve);
+    });
+  }
+  
+  /**
+   * Default LLM settings, taken from CONFIG
+   * @returns {Object} Settings object
+   */
+  static defaultSettings() {
+    return {
+      provider: CONFIG.PROVIDER,
+      serverUrl: CONFIG.LM_STUDIO_URL,
+      model: CONFIG.MODEL,
+      params: { ...CONFIG.LLM_PARAMS },
+      toneTemperatures: {},
+      piiNames: [],
+      piiAlwaysMask: [],
+      bannedWords: [],
+      preferredWords: [],
+      glossary: []
+    };
+  }
+  
+  /**
+   * Load LLM settings saved from the options page
+   * @returns {Promise<Object>} Settings merged over defaults
+   */
+  async loadSettings() {
+    const key = CONFIG.STORAGE_KEYS.SETTINGS;
+    
+    return new Promise((resolve) => {
+      chrome.storage.local.get([key], (result) => {
+        resolve(this.normalizeSettings(result?.[key]));
+      });
+    });
+  }
+  
+  /**
+   * Save LLM settings
+   * @param {Object} settings - Settings to save
+   * @returns {Promise<Object>} Normalized settings that were stored
+   */
+  async saveSettings(settings) {
+    const normalized = this.normalizeSettings(settings);
+    await this.save({ [CONFIG.STORAGE_KEYS.SETTINGS]: normalized });
+    return normalized;
+  }
+  
+  /**
+   * Add a term to the persistent always-mask list
+   * @param {string} term - Text to mask wherever it appears
+   * @returns {Promise<string[]>} Updated list
+   */
+  async addAlwaysMaskTerm(term) {
+    const settings = await this.loadSettings();
+    const saved = await this.saveSettings({
+      ...settings,
+      piiAlwaysMask: [...settings.piiAlwaysMask, term]
+    });
+    return saved.piiAlwaysMask;
+  }
+  
+  /**
+   * Load presets (built-in ones until the user saves their own)
+   * @returns {Promise<Object[]>} Presets
+   */
+  async loadPresets() {
+    const key = CONFIG.STORAGE_KEYS.PRESETS;
+    
+    return new Promise((resolve) => {
+      chrome.storage.local.get([key], (result) => {
+        const saved = result?.[key];
+        const presets = Array.isArray(saved) ? saved : CONFIG.DEFAULT_PRESETS;
+        resolve(presets.map((preset) => this.normalizePreset(preset)).filter(Boolean));
+      });
+    });
+  }
+  
+  /**
+   * Save presets
+   * @param {Object[]} presets - Presets to save
+   * @returns {Promise<Object[]>} Normalized presets that were stored
+   */
+  async savePresets(presets) {
+    const normalized = presets.map((preset) => this.normalizePreset(preset)).filter(Boolean);
+    await this.save({ [CONFIG.STORAGE_KEYS.PRESETS]: normalized });
+    return normalized;
+  }
+  
+  /**
+   * Serialize presets for sharing
+   * @param {Object[]} presets - Presets to export
+   * @returns {string} JSON document
+   */
+  exportPresets(presets) {
+    return JSON.stringify({ version: 1, presets }, null, 2);
+  }
+  
+  /**
+   * Parse a preset export (or a bare array of presets)
+   * @param {string} json - File contents
+   * @returns {Object[]} Valid presets
+   * @throws {Error} If the file has no usable presets
+   */
+  parsePresets(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    
+    const list = Array.isArray(data) ? data : data?.presets;
+    if (!Array.isArray(list)) {
+      throw new Error('No presets found in file');
+    }
+    
+    const presets = list.map((preset) => this.normalizePreset(preset)).filter(Boolean);
+    if (presets.length === 0) {
+      throw new Error('No valid presets found in file');
+    }
+    
+    return presets;
+  }
+  
+  /**
+   * Validate one preset, filling defaults; unknown perspectives, tones and styles fall back to the defaults
+   * @param {Object} preset - Raw preset
+   * @returns {Object|null} Preset, or null if it has no name
+   */
+  normalizePreset(preset) {
+    if (!preset || typeof preset !== 'object') return null;
+    
+    const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+    if (!name) return null;
+    
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const option = (value, options, fallback) => (Object.prototype.hasOwnProperty.call(options, text(value)) ? text(value) : fallback);
+    const bannedWords = Array.isArray(preset.bannedWords)
+      ? preset.bannedWords
+      : text(preset.bannedWords).split(',');
+    
+    return {
+      id: text(preset.id) || `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      perspective: option(preset.perspective, CONFIG.PERSPECTIVES, 'maintain'),
+      tone: option(preset.tone, CONFIG.TONES, 'natural'),
+      style: option(preset.style, CONFIG.STYLES, 'clear'),
+      instructions: text(preset.instructions),
+      bannedWords: bannedWords.map((word) => String(word).trim()).filter(Boolean),
+      sample: text(preset.sample)
+    };
+  }
+  
+  /**
+   * Load voice profiles
+   * @returns {Promise<Object[]>} Profiles
+   */
+  async loadVoiceProfiles() {
+    const key = CONFIG.STORAGE_KEYS.VOICE_PROFILES;
+    
+    return new Promise((resolve) => {
+      chrome.storage.local.get([key], (result) => {
+        const saved = Array.isArray(result?.[key]) ? result[key] : [];
+        resolve(saved.map((profile) => this.normalizeVoiceProfile(profile)).filter(Boolean));
+      });
+    });
+  }
+  
+  /**
+   * Save voice profiles
+   * @param {Object[]} profiles - Profiles to save
+   * @returns {Promise<Object[]>} Normalized profiles that were stored
+   */
+  async saveVoiceProfiles(profiles) {
+    const normalized = profiles.map((profile) => this.normalizeVoiceProfile(profile)).filter(Boolean);
+    await this.save({ [CONFIG.STORAGE_KEYS.VOICE_PROFILES]: normalized });
+    return normalized;
+  }
+  
+  /**
+   * Validate one voice profile, capping the number and size of its samples
+   * @param {Object} profile - Raw profile; samples may be an array or text with samples separated by "---" lines
+   * @returns {Object|null} Profile, or null if it has no name
+   */
+  normalizeVoiceProfile(profile) {
+    if (!profile || typeof profile !== 'object') return null;
+    
+    const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+    if (!name) return null;
+    
+    const { MAX_SAMPLES, MAX_SAMPLE_CHARS } = CONFIG.VOICE;
+    const samples = Array.isArray(profile.samples)
+      ? profile.samples
+      : String(profile.samples || '').split(/^\s*---+\s*$/m);
+    
+    return {
+      id: typeof profile.id === 'string' && profile.id.trim()
+        ? profile.id.trim()
+        : `voice-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      samples: samples
+        .map((sample) => String(sample).trim().slice(0, MAX_SAMPLE_CHARS))
+        .filter(Boolean)
+        .slice(0, MAX_SAMPLES)
+    };
+  }
+  
+  /**
+   * Merge saved settings over defaults, dropping invalid values
+   * @param {Object} saved - Raw settings
+   * @returns {Object} Complete settings object
+   */
+  normalizeSettings(saved) {
+    const defaults = StateManager.defaultSettings();
+    if (!saved || typeof saved !== 'object') return defaults;
+    
+    const params = { ...defaults.params };
+    Object.keys(params).forEach((name) => {
+      const value = Number(saved.params?.[name]);
+      if (saved.params?.[name] !== '' && Number.isFinite(value)) {
+        params[name] = value;
+      }
+    });
+    
+    const toneTemperatures = {};
+    Object.entries(saved.toneTemperatures || {}).forEach(([tone, temp]) => {
+      const value = Number(temp);
+      if (temp !== '' && temp !== null && Number.isFinite(value)) {
+        toneTemperatures[tone] = value;
+      }
+    });
+    
+    const provider = LLMProviders.ids().includes(saved.provider) ? saved.provider : defaults.provider;
+    const serverUrl = typeof saved.serverUrl === 'string' && saved.serverUrl.trim()
+      ? saved.serverUrl.trim().replace(/\/+$/, '')
+      : LLMProviders.get(provider).defaultUrl;
+    const model = typeof saved.model === 'string' && saved.model.trim()
+      ? saved.model.trim()
+      : defaults.model;
+    
+    const toList = (value) => {
+      const items = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+      return [...new Set(items.map((item) => String(item).trim()).filter(Boolean))];
+    };
+    const piiNames = toList(saved.piiNames);
+    const piiAlwaysMask = toList(saved.piiAlwaysMask);
+    const bannedWords = toList(saved.bannedWords);
+    const preferredWords = this.parsePreferredWords(saved.preferredWords);
+    const glossary = this.parseGlossary(saved.glossary);
+    
+    return {
+      provider, serverUrl, model, params, toneTemperatures,
+      piiNames, piiAlwaysMask, bannedWords, preferredWords, glossary
+    };
+  }
+  
+  /**
+   * Parse preferred-word swaps
+   * @param {string|Array} value - "from => to" lines ("/regex/ => to" for a pattern), or saved pairs
+   * @returns {Array<{from: string, to: string, regex: boolean}>} Valid pairs, one per source
+   */
+  parsePreferredWords(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split('\n');
+    const pairs = new Map();
+    
+    items.forEach((item) => {
+      const [from, to] = typeof item === 'string'
+        ? item.split(/\s*=>\s*/)
+        : [item?.from, item?.to];
+      if (typeof from !== 'string' || typeof to !== 'string' || !from.trim()) return;
+      
+      const pattern = from.trim().match(/^\/(.+)\/$/);
+      if (pattern) {
+        try {
+          new RegExp(pattern[1], 'gi');
+        } catch (error) {
+          console.warn('Skipping invalid preferred-word pattern:', from, error);
+          return;
+        }
+      }
+      
+      const regex = Boolean(pattern) || item?.regex === true;
+      pairs.set(from.trim().toLowerCase(), { from: pattern ? pattern[1] : from.trim(), to: to.trim(), regex });
+    });
+    
+    return Array.from(pairs.values());
+  }
+  
+  /**
+   * Parse glossary entries
+   * @param {string|Array} value - Lines ("Term", "/regex/", "log in => sign in", "\"Go\" => Golang",
+   *   "\\/literal/"), or entry objects whose regex and caseSensitive flags may be booleans or "true"/"yes"/"1"
+   * @returns {Array<{term: string, regex: boolean, replacement: string, caseSensitive: boolean}>} Valid entries, one per term;
+   *   an empty replacement marks a protected term (always matched case-sensitively)
+   */
+  parseGlossary(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split('\n');
+    const entries = new Map();
+    
+    const flag = (value) => value === true || /^(?:true|yes|1)$/i.test(String(value ?? '').trim());
+    
+    items.forEach((item) => {
+      const { term, regex, replacement, caseSensitive } = typeof item === 'string'
+        ? this._parseGlossaryLine(item)
+        : {
+          term: typeof item?.term === 'string' ? item.term.trim() : '',
+          regex: flag(item?.regex),
+          replacement: item?.replacement || '',
+          caseSensitive: flag(item?.caseSensitive)
+        };
+      if (!term) return;
+      
+      if (regex) {
+        try {
+          new RegExp(term, 'g');
+        } catch (error) {
+          console.warn('Skipping invalid glossary pattern:', term, error);
+          return;
+        }
+      }
+      
+      // Terms are case-sensitive, so "Go" and "go" are different entries
+      entries.set(`${regex}:${term}`, { term, regex, replacement: String(replacement).trim(), caseSensitive });
+    });
+    
+    return Array.from(entries.values());
+  }
+  
+  /**
+   * Split a glossary line into its term and replacement; the first "=>" after a
+   * /regex/ or in plain text separates them, a term in double quotes is
+   * case-sensitive, and a leading backslash is dropped and keeps the rest
+   * literal ("\/api/" is the plain term "/api/")
+   * @private
+   */
+  _parseGlossaryLine(line) {
+    let text = line.trim();
+    
+    const quoted = text.match(/^"(.+?)"\s*(=>.*)?$/);
+    const caseSensitive = Boolean(quoted);
+    if (quoted) text = `${quoted[1]} ${quoted[2] || ''}`.trim();
+    
+    const pattern = text.match(/^\/(.+?)\/\s*(?:=>\s*(.*))?$/);
+    if (pattern) {
+      return { term: pattern[1], regex: true, replacement: pattern[2] || '', caseSensitive };
+    }
+    
+    const literal = text.startsWith('\\') ? text.slice(1) : text;
+    const separator = literal.indexOf('=>');
+    return separator === -1
+      ? { term: literal.trim(), regex: false, replacement: '', caseSensitive }
+      : { term: literal.slice(0, separator).trim(), regex: false, replacement: literal.slice(separator + 2), caseSensitive };
+  }
+  
+  /**
+   * Parse a glossary file: JSON (an array of entries or {glossary: [...]}) or CSV
+   * with term, replacement, regex and caseSensitive columns and an optional header row
+   * @param {string} text - File contents
+   * @param {string} [fileName] - File name, used to tell JSON from CSV
+   * @returns {Array<{term: string, regex: boolean, replacement: string, caseSensitive: boolean}>} Valid entries
+   * @throws {Error} If the file has no usable entries
+   */
+  parseGlossaryFile(text, fileName = '') {
+    let items;
+    
+    if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error('File is not valid JSON');
+      }
+      items = Array.isArray(data) ? data : data?.glossary;
+      if (!Array.isArray(items)) {
+        throw new Error('No glossary entries found in file');
+      }
+    } else {
+      const rows = this._parseCsv(text).filter((row) => row[0]?.trim());
+      if (rows[0]?.[0].trim().toLowerCase() === 'term') rows.shift();
+      items = rows.map(([term, replacement = '', regex = '', caseSensitive = '']) => ({ term, replacement, regex, caseSensitive }));
+    }
+    
+    const entries = this.parseGlossary(items);
+    if (entries.length === 0) {
+      throw new Error('No valid glossary entries found in file');
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Split CSV into rows of cells; quoted cells may hold commas, quotes ("") and line breaks
+   * @private
+   */
+  _parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && !cell.trim()) {
+        quoted = true;
+        cell = '';
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    
+    return rows;
+  }
+}
@@ -0,0 +1,674 @@
+/**
+ * Text Humanization Chrome Extension - Options Page Script
+ * 
+ * Features:
+ * - Backend, server URL and model selection
+ * - Generation parameters and per-tone temperature overrides
+ * - Extra names and always-mask terms for the PII masker
+ * - Glossary of protected terms with CSV and JSON import
+ * - Connection test against the configured server
+ * - Preset editor with JSON import and export
+ * - Voice profile editor with a live style summary
+ * 
+ * Depends on core.js (loaded first by options.html)
+ */
+
+// ============================================================================
+// DOM ELEMENTS MODULE
+// ============================================================================
+
+const OptionsDOM = {
+  elements: {},
+  
+  init() {
+    this.elements = {
+      status: document.getElementById('status'),
+      provider: document.getElementById('provider'),
+      serverUrl: document.getElementById('serverUrl'),
+      model: document.getElementById('model'),
+      piiNames: document.getElementById('piiNames'),
+      piiAlwaysMask: document.getElementById('piiAlwaysMask'),
+      preferredWords: document.getElementById('preferredWords'),
+      bannedWords: document.getElementById('bannedWords'),
+      glossary: document.getElementById('glossary'),
+      glossaryImportBtn: document.getElementById('glossaryImportBtn'),
+      glossaryImportFile: document.getElementById('glossaryImportFile'),
+      saveBtn: document.getElementById('saveBtn'),
+      testBtn: document.getElementById('testBtn'),
+      resetBtn: document.getElementById('resetBtn'),
+      presetList: document.getElementById('presetList'),
+      presetName: document.getElementById('presetName'),
+      presetPerspective: document.getElementById('presetPerspective'),
+      presetTone: document.getElementById('presetTone'),
+      presetStyle: document.getElementById('presetStyle'),
+      presetInstructions: document.getElementById('presetInstructions'),
+      presetBannedWords: document.getElementById('presetBannedWords'),
+      presetSample: document.getElementById('presetSample'),
+      presetSaveBtn: document.getElementById('presetSaveBtn'),
+      presetNewBtn: document.getElementById('presetNewBtn'),
+      presetDeleteBtn: document.getElementById('presetDeleteBtn'),
+      presetImportBtn: document.getElementById('presetImportBtn'),
+      presetExportBtn: document.getElementById('presetExportBtn'),
+      presetImportFile: document.getElementById('presetImportFile'),
+      voiceList: document.getElementById('voiceList'),
+      voiceName: document.getElementById('voiceName'),
+      voiceSamples: document.getElementById('voiceSamples'),
+      voiceSummary: document.getElementById('voiceSummary'),
+      voiceSaveBtn: document.getElementById('voiceSaveBtn'),
+      voiceNewBtn: document.getElementById('voiceNewBtn'),
+      voiceDeleteBtn: document.getElementById('voiceDeleteBtn')
+    };
+    
+    this.paramInputs = Array.from(document.querySelectorAll('input[data-param]'));
+    this.toneInputs = Array.from(document.querySelectorAll('input[data-tone]'));
+  },
+  
+  get(key) {
+    return this.elements[key];
+  }
+};
+
+// ============================================================================
+// PRESET EDITOR MODULE
+// ============================================================================
+
+class PresetEditor {
+  /**
+   * @param {StateManager} stateManager - Preset storage
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onStatus - Called with (message, type)
+   */
+  constructor(stateManager, { onStatus }) {
+    this.stateManager = stateManager;
+    this.onStatus = onStatus;
+    this.presets = [];
+    this.selectedId = null;
+  }
+  
+  /**
+   * Load presets and bind the editor controls
+   */
+  async init() {
+    try {
+      this.presets = await this.stateManager.loadPresets();
+    } catch (error) {
+      console.error('Error loading presets:', error);
+      this.onStatus('Could not load presets', 'error');
+    }
+    
+    this.select(this.presets[0]?.id || null);
+    
+    OptionsDOM.get('presetList').addEventListener('change', (e) => this.select(e.target.value));
+    OptionsDOM.get('presetSaveBtn').addEventListener('click', () => this.saveCurrent());
+    OptionsDOM.get('presetNewBtn').addEventListener('click', () => this.select(null));
+    OptionsDOM.get('presetDeleteBtn').addEventListener('click', () => this.deleteCurrent());
+    OptionsDOM.get('presetExportBtn').addEventListener('click', () => this.exportAll());
+    OptionsDOM.get('presetImportBtn').addEventListener('click', () => OptionsDOM.get('presetImportFile').click());
+    OptionsDOM.get('presetImportFile').addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (file) this.importFile(file);
+    });
+  }
+  
+  /**
+   * Show a preset in the form, or an empty form for a new one
+   * @param {string|null} id - Preset ID
+   */
+  select(id) {
+    const preset = this.presets.find((item) => item.id === id) || null;
+    this.selectedId = preset ? preset.id : null;
+    
+    this.renderList();
+    this.fillForm(preset || { name: '', perspective: 'maintain', tone: 'natural', style: 'clear' });
+    OptionsDOM.get('presetDeleteBtn').disabled = !preset;
+  }
+  
+  /**
+   * Rebuild the preset picker
+   */
+  renderList() {
+    const list = OptionsDOM.get('presetList');
+    list.replaceChildren(...this.presets.map((preset) => new Option(preset.name, preset.id)));
+    list.appendChild(new Option('+ New preset', ''));
+    list.value = this.selectedId || '';
+  }
+  
+  /**
+   * Populate the editor fields
+   * @param {Object} preset - Preset to display
+   */
+  fillForm(preset) {
+    OptionsDOM.get('presetName').value = preset.name;
+    OptionsDOM.get('presetPerspective').value = preset.perspective;
+    OptionsDOM.get('presetTone').value = preset.tone;
+    OptionsDOM.get('presetStyle').value = preset.style;
+    OptionsDOM.get('presetInstructions').value = preset.instructions || '';
+    OptionsDOM.get('presetBannedWords').value = (preset.bannedWords || []).join(', ');
+    OptionsDOM.get('presetSample').value = preset.sample || '';
+  }
+  
+  /**
+   * Read the editor fields into a preset
+   * @returns {Object|null} Preset, or null if it has no name
+   */
+  readForm() {
+    return this.stateManager.normalizePreset({
+      id: this.selectedId || '',
+      name: OptionsDOM.get('presetName').value,
+      perspective: OptionsDOM.get('presetPerspective').value,
+      tone: OptionsDOM.get('presetTone').value,
+      style: OptionsDOM.get('presetStyle').value,
+      instructions: OptionsDOM.get('presetInstructions').value,
+      bannedWords: OptionsDOM.get('presetBannedWords').value,
+      sample: OptionsDOM.get('presetSample').value
+    });
+  }
+  
+  /**
+   * Save the preset in the form, adding it if new
+   */
+  async saveCurrent() {
+    const preset = this.readForm();
+    if (!preset) {
+      this.onStatus('Give the preset a name first', 'error');
+      return;
+    }
+    
+    const index = this.presets.findIndex((item) => item.id === preset.id);
+    const presets = index === -1
+      ? [...this.presets, preset]
+      : this.presets.map((item, i) => (i === index ? preset : item));
+    
+    if (await this.persist(presets, `Preset "${preset.name}" saved`)) {
+      this.select(preset.id);
+    }
+  }
+  
+  /**
+   * Delete the selected preset
+   */
+  async deleteCurrent() {
+    const preset = this.presets.find((item) => item.id === this.selectedId);
+    if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+    
+    const presets = this.presets.filter((item) => item.id !== preset.id);
+    if (await this.persist(presets, `Preset "${preset.name}" deleted`)) {
+      this.select(this.presets[0]?.id || null);
+    }
+  }
+  
+  /**
+   * Merge presets from a JSON file; presets with a known ID replace the existing ones
+   * @param {File} file - Selected file
+   */
+  async importFile(file) {
+    let imported;
+    try {
+      imported = this.stateManager.parsePresets(await file.text());
+    } catch (error) {
+      this.onStatus(`Import failed: ${error.message}`, 'error');
+      return;
+    }
+    
+    const byId = new Map(this.presets.map((preset) => [preset.id, preset]));
+    imported.forEach((preset) => byId.set(preset.id, preset));
+    
+    const count = imported.length;
+    if (await this.persist(Array.from(byId.values()), `Imported ${count} preset${count === 1 ? '' : 's'}`)) {
+      this.select(imported[0].id);
+    }
+  }
+  
+  /**
+   * Download all presets as a JSON file
+   */
+  exportAll() {
+    const json = this.stateManager.exportPresets(this.presets);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'text-tools-presets.json';
+    link.click();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  /**
+   * Store presets and report the result
+   * @private
+   * @returns {Promise<boolean>} Whether the presets were saved
+   */
+  async persist(presets, message) {
+    try {
+      this.presets = await this.stateManager.savePresets(presets);
+      this.onStatus(message, 'success');
+      return true;
+    } catch (error) {
+      console.error('Error saving presets:', error);
+      this.onStatus('Failed to save presets', 'error');
+      return false;
+    }
+  }
+}
+
+// ============================================================================
+// VOICE PROFILE EDITOR MODULE
+// ============================================================================
+
+class VoiceEditor {
+  /**
+   * @param {StateManager} stateManager - Profile storage
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onStatus - Called with (message, type)
+   */
+  constructor(stateManager, { onStatus }) {
+    this.stateManager = stateManager;
+    this.onStatus = onStatus;
+    this.profiles = [];
+    this.selectedId = null;
+  }
+  
+  /**
+   * Load profiles and bind the editor controls
+   */
+  async init() {
+    try {
+      this.profiles = await this.stateManager.loadVoiceProfiles();
+    } catch (error) {
+      console.error('Error loading voice profiles:', error);
+      this.onStatus('Could not load voice profiles', 'error');
+    }
+    
+    this.select(this.profiles[0]?.id || null);
+    
+    OptionsDOM.get('voiceList').addEventListener('change', (e) => this.select(e.target.value));
+    OptionsDOM.get('voiceSamples').addEventListener('input', () => this.renderSummary());
+    OptionsDOM.get('voiceSaveBtn').addEventListener('click', () => this.saveCurrent());
+    OptionsDOM.get('voiceNewBtn').addEventListener('click', () => this.select(null));
+    OptionsDOM.get('voiceDeleteBtn').addEventListener('click', () => this.deleteCurrent());
+  }
+  
+  /**
+   * Show a profile in the form, or an empty form for a new one
+   * @param {string|null} id - Profile ID
+   */
+  select(id) {
+    const profile = this.profiles.find((item) => item.id === id) || null;
+    this.selectedId = profile ? profile.id : null;
+    
+    const list = OptionsDOM.get('voiceList');
+    list.replaceChildren(...this.profiles.map((item) => new Option(item.name, item.id)));
+    list.appendChild(new Option('+ New profile', ''));
+    list.value = this.selectedId || '';
+    
+    OptionsDOM.get('voiceName').value = profile?.name || '';
+    OptionsDOM.get('voiceSamples').value = (profile?.samples || []).join('\n---\n');
+    OptionsDOM.get('voiceDeleteBtn').disabled = !profile;
+    this.renderSummary();
+  }
+  
+  /**
+   * Read the editor fields into a profile
+   * @returns {Object|null} Profile, or null if it has no name
+   */
+  readForm() {
+    return this.stateManager.normalizeVoiceProfile({
+      id: this.selectedId || '',
+      name: OptionsDOM.get('voiceName').value,
+      samples: OptionsDOM.get('voiceSamples').value
+    });
+  }
+  
+  /**
+   * Show the style summary the prompt will get for the samples in the form
+   */
+  renderSummary() {
+    const profile = this.stateManager.normalizeVoiceProfile({ name: 'preview', samples: OptionsDOM.get('voiceSamples').value });
+    const summary = profile.samples.length ? VoiceProfiler.summarize(profile.samples) : '';
+    OptionsDOM.get('voiceSummary').textContent = summary || 'Add samples to see how the style will be described.';
+  }
+  
+  /**
+   * Save the profile in the form, adding it if new
+   */
+  async saveCurrent() {
+    const profile = this.readForm();
+    if (!profile) {
+      this.onStatus('Give the profile a name first', 'error');
+      return;
+    }
+    if (!profile.samples.length) {
+      this.onStatus('Add at least one writing sample', 'error');
+      return;
+    }
+    
+    const index = this.profiles.findIndex((item) => item.id === profile.id);
+    const profiles = index === -1
+      ? [...this.profiles, profile]
+      : this.profiles.map((item, i) => (i === index ? profile : item));
+    
+    if (await this.persist(profiles, `Voice profile "${profile.name}" saved`)) {
+      this.select(profile.id);
+    }
+  }
+  
+  /**
+   * Delete the selected profile
+   */
+  async deleteCurrent() {
+    const profile = this.profiles.find((item) => item.id === this.selectedId);
+    if (!profile || !confirm(`Delete voice profile "${profile.name}"?`)) return;
+    
+    const profiles = this.profiles.filter((item) => item.id !== profile.id);
+    if (await this.persist(profiles, `Voice profile "${profile.name}" deleted`)) {
+      this.select(this.profiles[0]?.id || null);
+    }
+  }
+  
+  /**
+   * Store profiles and report the result
+   * @private
+   * @returns {Promise<boolean>} Whether the profiles were saved
+   */
+  async persist(profiles, message) {
+    try {
+      this.profiles = await this.stateManager.saveVoiceProfiles(profiles);
+      this.onStatus(message, 'success');
+      return true;
+    } catch (error) {
+      console.error('Error saving voice profiles:', error);
+      this.onStatus('Failed to save voice profiles', 'error');
+      return false;
+    }
+  }
+}
+
+// ============================================================================
+// OPTIONS CONTROLLER MODULE
+// ============================================================================
+
+class OptionsController {
+  constructor() {
+    this.stateManager = new StateManager();
+    this.presetEditor = new PresetEditor(this.stateManager, {
+      onStatus: (message, type) => this.showStatus(message, type)
+    });
+    this.voiceEditor = new VoiceEditor(this.stateManager, {
+      onStatus: (message, type) => this.showStatus(message, type)
+    });
+  }
+  
+  /**
+   * Initialize page and event listeners
+   */
+  async init() {
+    OptionsDOM.init();
+    
+    try {
+      const settings = await this.stateManager.loadSettings();
+      this.fillForm(settings);
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      this.showStatus('Could not load saved settings', 'error');
+    }
+    
+    OptionsDOM.get('provider').addEventListener('change', () => this.onProviderChange());
+    OptionsDOM.get('saveBtn').addEventListener('click', () => this.save());
+    OptionsDOM.get('testBtn').addEventListener('click', () => this.testConnection());
+    OptionsDOM.get('resetBtn').addEventListener('click', () => this.reset());
+    OptionsDOM.get('glossaryImportBtn').addEventListener('click', () => OptionsDOM.get('glossaryImportFile').click());
+    OptionsDOM.get('glossaryImportFile').addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (file) this.importGlossary(file);
+    });
+    
+    await this.presetEditor.init();
+    await this.voiceEditor.init();
+  }
+  
+  /**
+   * Populate the form from a settings object
+   * @param {Object} settings - Settings to display
+   */
+  fillForm(settings) {
+    OptionsDOM.get('provider').value = settings.provider;
+    OptionsDOM.get('serverUrl').value = settings.serverUrl;
+    OptionsDOM.get('serverUrl').placeholder = LLMProviders.get(settings.provider).defaultUrl;
+    OptionsDOM.get('model').value = settings.model;
+    
+    OptionsDOM.paramInputs.forEach((input) => {
+      input.value = settings.params[input.dataset.param];
+    });
+    
+    OptionsDOM.toneInputs.forEach((input) => {
+      const override = settings.toneTemperatures[input.dataset.tone];
+      input.value = override !== undefined ? override : '';
+      input.placeholder = String(settings.params.temperature);
+    });
+    
+    OptionsDOM.get('piiNames').value = settings.piiNames.join('\n');
+    OptionsDOM.get('piiAlwaysMask').value = settings.piiAlwaysMask.join('\n');
+    OptionsDOM.get('preferredWords').value = settings.preferredWords
+      .map(({ from, to, regex }) => `${regex ? `/${from}/` : from} => ${to}`)
+      .join('\n');
+    OptionsDOM.get('bannedWords').value = settings.bannedWords.join('\n');
+    OptionsDOM.get('glossary').value = this.formatGlossary(settings.glossary);
+  }
+  
+  /**
+   * Glossary entries as textarea lines
+   * @param {Array<{term: string, regex: boolean, replacement: string, caseSensitive: boolean}>} entries - Glossary entries
+   * @returns {string}
+   */
+  formatGlossary(entries) {
+    return entries
+      .map(({ term, regex, replacement, caseSensitive }) => {
+        // A plain term starting with a slash, quote or backslash is escaped so it stays literal
+        const line = regex ? `/${term}/` : term.replace(/^(?=[/"\\])/, '\\');
+        return `${caseSensitive ? `"${line}"` : line}${replacement ? ` => ${replacement}` : ''}`;
+      })
+      .join('\n');
+  }
+  
+  /**
+   * Merge glossary entries from a CSV or JSON file into the form; entries for a known term replace it
+   * @param {File} file - Selected file
+   */
+  async importGlossary(file) {
+    let imported;
+    try {
+      imported = this.stateManager.parseGlossaryFile(await file.text(), file.name);
+    } catch (error) {
+      this.showStatus(`Import failed: ${error.message}`, 'error');
+      return;
+    }
+    
+    const current = this.stateManager.parseGlossary(OptionsDOM.get('glossary').value);
+    const merged = this.stateManager.parseGlossary([...current, ...imported]);
+    OptionsDOM.get('glossary').value = this.formatGlossary(merged);
+    
+    const count = imported.length;
+    this.showStatus(`Imported ${count} glossary entr${count === 1 ? 'y' : 'ies'}. Press Save to keep them.`, 'info');
+  }
+  
+  /**
+   * Read the form into a normalized settings object
+   * @returns {Object} Settings
+   */
+  readForm() {
+    const params = {};
+    OptionsDOM.paramInputs.forEach((input) => {
+      params[input.dataset.param] = input.value.trim();
+    });
+    
+    const toneTemperatures = {};
+    OptionsDOM.toneInputs.forEach((input) => {
+      toneTemperatures[input.dataset.tone] = input.value.trim();
+    });
+    
+    return this.stateManager.normalizeSettings({
+      provider: OptionsDOM.get('provider').value,
+      serverUrl: OptionsDOM.get('serverUrl').value,
+      model: OptionsDOM.get('model').value,
+      params,
+      toneTemperatures,
+      piiNames: OptionsDOM.get('piiNames').value,
+      piiAlwaysMask: OptionsDOM.get('piiAlwaysMask').value,
+      preferredWords: OptionsDOM.get('preferredWords').value,
+      bannedWords: OptionsDOM.get('bannedWords').value,
+      glossary: OptionsDOM.get('glossary').value
+    });
+  }
+  
+  /**
+   * Switch the server URL to the new backend's default port, unless customised
+   */
+  onProviderChange() {
+    const provider = LLMProviders.get(OptionsDOM.get('provider').value);
+    const serverUrl = OptionsDOM.get('serverUrl');
+    const current = serverUrl.value.trim().replace(/\/+$/, '');
+    const isDefault = LLMProviders.ids().some((id) => LLMProviders.get(id).defaultUrl === current);
+    
+    if (!current || isDefault) {
+      serverUrl.value = provider.defaultUrl;
+    }
+    serverUrl.placeholder = provider.defaultUrl;
+  }
+  
+  /**
+   * Validate the server URL field
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateServerUrl() {
+    const value = OptionsDOM.get('serverUrl').value.trim();
+    if (!value) return null;
+    
+    try {
+      const url = new URL(value);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return 'Server URL must start with http:// or https://';
+      }
+    } catch (error) {
+      return 'Server URL is not a valid URL';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Ask for host access when the server is not on localhost
+   * @param {string} serverUrl - Configured server URL
+   * @returns {Promise<boolean>} Whether the extension may reach the server
+   */
+  async ensureHostPermission(serverUrl) {
+    const { hostname, protocol } = new URL(serverUrl);
+    if (protocol === 'http:' && (hostname === 'localhost' || hostname === '127.0.0.1')) {
+      return true;
+    }
+    
+    const origins = [`${protocol}//${hostname}/*`];
+    
+    try {
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      console.error('Permission request failed:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Save the form
+   */
+  async save() {
+    const urlError = this.validateServerUrl();
+    if (urlError) {
+      this.showStatus(urlError, 'error');
+      return;
+    }
+    
+    const settings = this.readForm();
+    
+    if (!(await this.ensureHostPermission(settings.serverUrl))) {
+      this.showStatus('Access to that server was not granted', 'error');
+      return;
+    }
+    
+    try {
+      const saved = await this.stateManager.saveSettings(settings);
+      this.fillForm(saved);
+      this.showStatus('Settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.showStatus('Failed to save settings', 'error');
+    }
+  }
+  
+  /**
+   * Check that the server in the form answers and serves the chosen model
+   */
+  async testConnection() {
+    const urlError = this.validateServerUrl();
+    if (urlError) {
+      this.showStatus(urlError, 'error');
+      return;
+    }
+    
+    const settings = this.readForm();
+    const testBtn = OptionsDOM.get('testBtn');
+    
+    if (!(await this.ensureHostPermission(settings.serverUrl))) {
+      this.showStatus('Access to that server was not granted', 'error');
+      return;
+    }
+    
+    testBtn.disabled = true;
+    this.showStatus(`Connecting to ${settings.serverUrl}...`, 'info');
+    
+    try {
+      const models = await new LLMClient(settings).listModels();
+      
+      if (models.includes(settings.model)) {
+        this.showStatus(`Connected. Model "${settings.model}" is available.`, 'success');
+      } else if (models.length > 0) {
+        this.showStatus(`Connected, but "${settings.model}" is not loaded. Available: ${models.join(', ')}`, 'error');
+      } else {
+        this.showStatus('Connected, but the server reports no loaded models.', 'error');
+      }
+    } catch (error) {
+      console.error('Connection test failed:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      testBtn.disabled = false;
+    }
+  }
+  
+  /**
+   * Restore defaults in the form (not saved until Save is pressed)
+   */
+  reset() {
+    this.fillForm(StateManager.defaultSettings());
+    this.showStatus('Defaults restored. Press Save to keep them.', 'info');
+  }
+  
+  /**
+   * Show status message
+   */
+  showStatus(message, type = 'info') {
+    const statusEl = OptionsDOM.get('status');
+    statusEl.textContent = message;
+    statusEl.className = `status ${type}`;
+    statusEl.style.display = 'block';
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const optionsController = new OptionsController();
+  await optionsController.init();
+});
@@ -1,874 +1,2107 @@
-/**
- * Text Humanization Chrome Extension - Main Script
- * Refactored for performance, maintainability, and reliability
- * 
- * Features:
- * - Local LLM integration (LM Studio)
- * - PII masking and restoration
- * - Adaptive prompt generation
- * - State persistence
- */
-
-// ============================================================================
-// CONFIGURATION MODULE
-// ============================================================================
-
-const CONFIG = {
-  LM_STUDIO_URL: 'http://localhost:1234',
-  MODEL: 'llama-3.2-3b-instruct',
-  
-  // Text length thresholds (in words)
-  LENGTH_THRESHOLDS: {
-    SHORT: 100,      // < 100 words
-    MEDIUM: 500,     // 100-500 words
-    LONG: 2000,      // 500-2000 words
-    VERY_LONG: 2000  // > 2000 words
-  },
-  
-  // Timeout settings (milliseconds)
-  TIMEOUTS: {
-    SHORT: 30000,
-    MEDIUM: 60000,
-    LONG: 90000,
-    VERY_LONG: 120000
-  },
-  
-  // LLM generation parameters
-  LLM_PARAMS: {
-    temperature: 0.75,
-    top_p: 0.92,
-    frequency_penalty: 0.6,
-    presence_penalty: 0.5,
-    repeat_penalty: 1.15
-  },
-  
-  // Persistent storage keys
-  STORAGE_KEYS: {
-    INPUT_TEXT: 'inputText',
-    PERSPECTIVE: 'perspective',
-    TONE: 'tone',
-    STYLE: 'style',
-    MASK_PII: 'maskPII',
-    MASK_BEFORE: 'maskBefore'
-  }
-};
-
-// ============================================================================
-// DOM ELEMENTS MODULE
-// ============================================================================
-
-const DOM = {
-  elements: {},
-  
-  init() {
-    this.elements = {
-      inputText: document.getElementById('inputText'),
-      outputText: document.getElementById('outputText'),
-      humaniseBtn: document.getElementById('humaniseBtn'),
-      copyBtn: document.getElementById('copyBtn'),
-      clearBtn: document.getElementById('clearBtn'),
-      status: document.getElementById('status'),
-      perspectiveSelect: document.getElementById('perspectiveSelect'),
-      toneSelect: document.getElementById('toneSelect'),
-      styleSelect: document.getElementById('styleSelect'),
-      maskPII: document.getElementById('maskPII'),
-      maskBefore: document.getElementById('maskBefore'),
-      inputCharCount: document.getElementById('inputCharCount'),
-      outputCharCount: document.getElementById('outputCharCount'),
-      optionsToggle: document.getElementById('optionsToggle'),
-      options: document.getElementById('options')
-    };
-    
-    this.validateElements();
-  },
-  
-  validateElements() {
-    const missing = Object.entries(this.elements)
-      .filter(([key, el]) => !el)
-      .map(([key]) => key);
-    
-    if (missing.length > 0) {
-      console.error('Missing DOM elements:', missing);
-    }
-  },
-  
-  get(key) {
-    return this.elements[key];
-  }
-};
-
-// ============================================================================
-// TEXT PROCESSING UTILITIES MODULE
-// ============================================================================
-
-const TextUtils = {
-  /**
-   * Count words in text with proper whitespace handling
-   * @param {string} text - Input text
-   * @returns {number} Word count
-   */
-  countWords(text) {
-    if (!text || typeof text !== 'string') return 0;
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
-  },
-  
-  /**
-   * Get text category based on word count
-   * @param {string} text - Input text
-   * @returns {string} Category: SHORT, MEDIUM, LONG, or VERY_LONG
-   */
-  getTextCategory(text) {
-    const wordCount = this.countWords(text);
-    const { SHORT, MEDIUM, LONG } = CONFIG.LENGTH_THRESHOLDS;
-    
-    if (wordCount < SHORT) return 'SHORT';
-    if (wordCount < MEDIUM) return 'MEDIUM';
-    if (wordCount < LONG) return 'LONG';
-    return 'VERY_LONG';
-  },
-  
-  /**
-   * Get timeout duration based on text category
-   * @param {string} category - Text category
-   * @returns {number} Timeout in milliseconds
-   */
-  getTimeout(category) {
-    return CONFIG.TIMEOUTS[category] || CONFIG.TIMEOUTS.VERY_LONG;
-  },
-  
-  /**
-   * Calculate adaptive max_tokens based on input length
-   * @param {number} textLength - Length of input text
-   * @returns {number} Max tokens for generation
-   */
-  calculateMaxTokens(textLength) {
-    const calculated = Math.ceil(textLength * 1.3);
-    return Math.min(calculated, 2500);
-  },
-  
-  /**
-   * Validate input text
-   * @param {string} text - Input text
-   * @returns {{valid: boolean, error: string|null}}
-   */
-  validateInput(text) {
-    if (!text || typeof text !== 'string') {
-      return { valid: false, error: 'Input must be valid text' };
-    }
-    
-    if (text.trim().length === 0) {
-      return { valid: false, error: 'Cannot process empty text' };
-    }
-    
-    if (this.countWords(text) > 5000) {
-      return { valid: false, error: 'Text too long. Max 5000 words' };
-    }
-    
-    return { valid: true, error: null };
-  }
-};
-
-// ============================================================================
-// PII MASKING MODULE
-// ============================================================================
-
-class PIIMasker {
-  constructor() {
-    this.maskMap = new Map();
-    this.counter = 0;
-  }
-  
-  /**
-   * Reset masker state
-   */
-  reset() {
-    this.maskMap.clear();
-    this.counter = 0;
-  }
-  
-  /**
-   * Mask PII in text
-   * @param {string} text - Input text
-   * @param {boolean} shouldMask - Whether to mask
-   * @returns {string} Masked text
-   */
-  mask(text, shouldMask = true) {
-    if (!shouldMask) return text;
-    
-    this.reset();
-    let processed = text;
-    
-    // Email masking
-    processed = this._maskEmails(processed);
-    
-    // Phone masking
-    processed = this._maskPhones(processed);
-    
-    // Name masking
-    processed = this._maskNames(processed);
-    
-    return processed;
-  }
-  
-  /**
-   * Unmask PII in text
-   * @param {string} text - Text with masks
-   * @returns {string} Unmasked text
-   */
-  unmask(text) {
-    let unmasked = text;
-    
-    // Replace masks with original values
-    this.maskMap.forEach((original, token) => {
-      const escapedToken = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const regex = new RegExp(escapedToken, 'g');
-      unmasked = unmasked.replace(regex, original);
-    });
-    
-    return unmasked;
-  }
-  
-  /**
-   * Create and store mask token
-   * @param {string} original - Original value
-   * @param {string} prefix - Token prefix
-   * @returns {string} Mask token
-   */
-  _createToken(original, prefix) {
-    const token = `[${prefix}_${this.counter++}]`;
-    this.maskMap.set(token, original);
-    return token;
-  }
-  
-  /**
-   * Mask email addresses
-   * @private
-   */
-  _maskEmails(text) {
-    const emailRegex = /[\w\.-]+@[\w\.-]+\.\w+/gi;
-    return text.replace(emailRegex, (match) => this._createToken(match, 'EMAIL'));
-  }
-  
-  /**
-   * Mask phone numbers (US/international)
-   * @private
-   */
-  _maskPhones(text) {
-    const phoneRegex = /(\+?1[-.\\s]?)?\(?([0-9]{3})\)?[-.\\s]?([0-9]{3})[-.\\s]?([0-9]{4})/gi;
-    return text.replace(phoneRegex, (match) => this._createToken(match, 'PHONE'));
-  }
-  
-  /**
-   * Mask proper names
-   * @private
-   */
-  _maskNames(text) {
-    // Match capitalized words that look like names
-    const nameRegex = /(?<=\\s|^)([A-Z][a-z]+(?:\\s[A-Z][a-z]+){1,2})(?=\\s|[,.]|$)/g;
-    const skipWords = new Set(['The', 'This', 'That', 'These', 'Those', 'When', 'Where', 'What', 'Who', 'Why', 'How']);
-    
-    return text.replace(nameRegex, (match) => {
-      const firstWord = match.split(' ')[0];
-      if (skipWords.has(firstWord)) return match;
-      return this._createToken(match, 'NAME');
-    });
-  }
-}
-
-// ============================================================================
-// PROMPT BUILDER MODULE
-// ============================================================================
-
-const PromptBuilder = {
-  /**
-   * Build system and user prompts based on text category
-   * @param {string} text - Input text
-   * @param {string} perspective - Writing perspective
-   * @param {string} tone - Tone preference
-   * @param {string} style - Style preference
-   * @param {string} category - Text category
-   * @returns {{system: string, user: string}}
-   */
-  build(text, perspective, tone, style, category) {
-    const paramDescription = this._getParamDescription(perspective, tone, style);
-    
-    switch (category) {
-      case 'SHORT':
-        return this._buildShortPrompt(text, paramDescription);
-      case 'MEDIUM':
-        return this._buildMediumPrompt(text, paramDescription);
-      case 'LONG':
-        return this._buildLongPrompt(text, paramDescription);
-      case 'VERY_LONG':
-        return this._buildVeryLongPrompt(text, paramDescription);
-      default:
-        return this._buildShortPrompt(text, paramDescription);
-    }
-  },
-  
-  /**
-   * Get parameter description
-   * @private
-   */
-  _getParamDescription(perspective, tone, style) {
-    return `Parameters:
-- Perspective: ${perspective === 'maintain' ? 'Keep original' : perspective.replace('-', ' ')}
-- Tone: ${tone}
-- Style: ${style}`;
-  },
-  
-  /**
-   * Build prompt for SHORT text
-   * @private
-   */
-  _buildShortPrompt(text, paramDescription) {
-    const systemRole = `You are a clarity expert. Improve short text while preserving core message.
-
-Rules:
-1. Maintain all facts and original meaning exactly
-2. Keep similar length (within 10% of original)
-3. Use natural, conversational language
-4. Remove unnecessary words and jargon
-5. Use active voice when possible
-6. Preserve formatting (bold, lists, etc.)
-7. Replace abstract language with concrete examples
-
-Return ONLY the rewritten text with no explanations.`;
-
-    const userPrompt = `${paramDescription}
-
-Original text:
-${text}
-
-Rewritten version:`;
-
-    return { system: systemRole, user: userPrompt };
-  },
-  
-  /**
-   * Build prompt for MEDIUM text
-   * @private
-   */
-  _buildMediumPrompt(text, paramDescription) {
-    const systemRole = `You are a writing improvement specialist. Enhance medium-length text for clarity and engagement.
-
-Rules:
-1. Preserve all factual content and original meaning
-2. Keep length within 15% of original
-3. Improve clarity and readability
-4. Use varied sentence structure
-5. Create natural transitions between ideas
-6. Add emphasis through structure, not just adverbs
-7. Maintain consistent tone throughout
-
-Return ONLY the improved text with no explanations.`;
-
-    const userPrompt = `${paramDescription}
-
-Original text:
-${text}
-
-Improved version:`;
-
-    return { system: systemRole, user: userPrompt };
-  },
-  
-  /**
-   * Build prompt for LONG text
-   * @private
-   */
-  _buildLongPrompt(text, paramDescription) {
-    const systemRole = `You are a professional editor. Refine long-form text for maximum impact.
-
-Rules:
-1. Preserve all important information and meaning
-2. Maintain consistent style throughout
-3. Create natural flow between sections
-4. Ensure each paragraph has clear purpose
-5. Remove redundancies
-6. Use varied pacing to maintain reader engagement
-7. Keep similar length (within 20%)
-
-Return ONLY the refined text with no explanations.`;
-
-    const userPrompt = `${paramDescription}
-
-This is a lengthy passage. Maintain consistency while keeping each section natural and engaging.
-
-Original text:
-${text}
-
-Refined version:`;
-
-    return { system: systemRole, user: userPrompt };
-  },
-  
-  /**
-   * Build prompt for VERY_LONG text
-   * @private
-   */
-  _buildVeryLongPrompt(text, paramDescription) {
-    const systemRole = `You are a master editor. Optimize very long text for clarity, readability, and impact.
-
-Rules:
-1. Preserve all critical information
-2. Maintain consistent voice throughout
-3. Ensure logical flow and structure
-4. Remove all redundancies
-5. Break complex ideas into digestible pieces
-6. Use varied pacing strategically
-7. Keep length within 25%
-
-Return ONLY the optimized text with no explanations.`;
-
-    const userPrompt = `${paramDescription}
-
-This is very long content. Ensure consistency, clarity, and engagement throughout all sections.
-
-Original text:
-${text}
-
-Optimized version:`;
-
-    return { system: systemRole, user: userPrompt };
-  }
-};
-
-// ============================================================================
-// POST-PROCESSING MODULE
-// ============================================================================
-
-const PostProcessor = {
-  /**
-   * Clean up formal phrases from output
-   * @param {string} text - Generated text
-   * @returns {string} Post-processed text
-   */
-  process(text) {
-    if (!text || typeof text !== 'string') return text;
-    
-    let result = text;
-    
-    // Replace overly formal phrases
-    const replacements = {
-      'it is important to note that': 'note that',
-      'it is important to note': 'importantly',
-      'it is worth noting that': 'notably',
-      'in conclusion': 'finally',
-      'to summarize': 'in short',
-      'furthermore': 'also',
-      'moreover': 'beyond that',
-      'in addition': 'plus',
-      'due to the fact that': 'because',
-      'in the event that': 'if'
-    };
-    
-    Object.entries(replacements).forEach(([formal, casual]) => {
-      const regex = new RegExp(`\\b${formal}\\b`, 'gi');
-      result = result.replace(regex, casual);
-    });
-    
-    // Clean up extra whitespace
-    result = result.replace(/\\s+/g, ' ').trim();
-    
-    return result;
-  }
-};
-
-// ============================================================================
-// LLM API MODULE
-// ============================================================================
-
-class LLMClient {
-  /**
-   * Call local LLM with adaptive parameters
-   * @param {string} systemPrompt - System prompt
-   * @param {string} userPrompt - User prompt
-   * @param {string} category - Text category (for timeout calculation)
-   * @returns {Promise<string>} Generated text
-   */
-  async call(systemPrompt, userPrompt, category) {
-    const controller = new AbortController();
-    const timeoutDuration = TextUtils.getTimeout(category);
-    const timeoutId = setTimeout(() => controller.abort(), timeoutDuration);
-    
-    try {
-      const textLength = userPrompt.length;
-      const maxTokens = TextUtils.calculateMaxTokens(textLength);
-      
-      const payload = {
-        model: CONFIG.MODEL,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: CONFIG.LLM_PARAMS.temperature,
-        max_tokens: maxTokens,
-        top_p: CONFIG.LLM_PARAMS.top_p,
-        frequency_penalty: CONFIG.LLM_PARAMS.frequency_penalty,
-        presence_penalty: CONFIG.LLM_PARAMS.presence_penalty,
-        repeat_penalty: CONFIG.LLM_PARAMS.repeat_penalty,
-        stream: false
-      };
-      
-      const response = await fetch(`${CONFIG.LM_STUDIO_URL}/v1/chat/completions`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
-      }
-      
-      const data = await response.json();
-      const content = data.choices?.[0]?.message?.content;
-      
-      if (!content) {
-        throw new Error('Empty response from LLM');
-      }
-      
-      return content.trim();
-      
-    } catch (error) {
-      clearTimeout(timeoutId);
-      this._handleError(error);
-    }
-  }
-  
-  /**
-   * Handle and translate errors
-   * @private
-   */
-  _handleError(error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout. Text too long or LM Studio slow. Try shorter text.');
-    }
-    
-    if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-      throw new Error('Cannot connect to LM Studio. Ensure it\'s running on localhost:1234.');
-    }
-    
-    throw error;
-  }
-}
-
-// ============================================================================
-// STATE MANAGEMENT MODULE
-// ============================================================================
-
-class StateManager {
-  /**
-   * Load state from Chrome storage
-   * @returns {Promise<Object>} Saved state
-   */
-  async load() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(Object.values(CONFIG.STORAGE_KEYS), (result) => {
-        resolve(result || {});
-      });
-    });
-  }
-  
-  /**
-   * Save state to Chrome storage
-   * @param {Object} state - State to save
-   * @returns {Promise<void>}
-   */
-  async save(state) {
-    return new Promise((resolve) => {
-      chrome.storage.local.set(state, resolve);
-    });
-  }
-  
-  /**
-   * Clear all saved state
-   * @returns {Promise<void>}
-   */
-  async clear() {
-    return new Promise((resolve) => {
-      chrome.storage.local.clear(resolve);
-    });
-  }
-  
-  /**
-   * Get current UI state
-   * @returns {Object} Current UI state
-   */
-  getUIState() {
-    return {
-      [CONFIG.STORAGE_KEYS.INPUT_TEXT]: DOM.get('inputText').value,
-      [CONFIG.STORAGE_KEYS.PERSPECTIVE]: DOM.get('perspectiveSelect').value,
-      [CONFIG.STORAGE_KEYS.TONE]: DOM.get('toneSelect').value,
-      [CONFIG.STORAGE_KEYS.STYLE]: DOM.get('styleSelect').value,
-      [CONFIG.STORAGE_KEYS.MASK_PII]: DOM.get('maskPII').checked,
-      [CONFIG.STORAGE_KEYS.MASK_BEFORE]: DOM.get('maskBefore').checked
-    };
-  }
-}
-
-// ============================================================================
-// UI CONTROLLER MODULE
-// ============================================================================
-
-class UIController {
-  constructor() {
-    this.piiMasker = new PIIMasker();
-    this.llmClient = new LLMClient();
-    this.stateManager = new StateManager();
-    this.isProcessing = false;
-  }
-  
-  /**
-   * Initialize UI and event listeners
-   */
-  async init() {
-    DOM.init();
-    await this.loadState();
-    this.attachEventListeners();
-  }
-  
-  /**
-   * Load saved state
-   */
-  async loadState() {
-    try {
-      const state = await this.stateManager.load();
-      
-      if (state[CONFIG.STORAGE_KEYS.INPUT_TEXT]) {
-        DOM.get('inputText').value = state[CONFIG.STORAGE_KEYS.INPUT_TEXT];
-      }
-      if (state[CONFIG.STORAGE_KEYS.PERSPECTIVE]) {
-        DOM.get('perspectiveSelect').value = state[CONFIG.STORAGE_KEYS.PERSPECTIVE];
-      }
-      if (state[CONFIG.STORAGE_KEYS.TONE]) {
-        DOM.get('toneSelect').value = state[CONFIG.STORAGE_KEYS.TONE];
-      }
-      if (state[CONFIG.STORAGE_KEYS.STYLE]) {
-        DOM.get('styleSelect').value = state[CONFIG.STORAGE_KEYS.STYLE];
-      }
-      if (state[CONFIG.STORAGE_KEYS.MASK_PII] !== undefined) {
-        DOM.get('maskPII').checked = state[CONFIG.STORAGE_KEYS.MASK_PII];
-      }
-      if (state[CONFIG.STORAGE_KEYS.MASK_BEFORE] !== undefined) {
-        DOM.get('maskBefore').checked = state[CONFIG.STORAGE_KEYS.MASK_BEFORE];
-      }
-      
-      this.updateCharCounts();
-    } catch (error) {
-      console.error('Error loading state:', error);
-    }
-  }
-  
-  /**
-   * Attach event listeners
-   */
-  attachEventListeners() {
-    const inputText = DOM.get('inputText');
-    const outputText = DOM.get('outputText');
-    const humaniseBtn = DOM.get('humaniseBtn');
-    const copyBtn = DOM.get('copyBtn');
-    const clearBtn = DOM.get('clearBtn');
-    
-    // Input events
-    inputText.addEventListener('input', () => this.updateCharCounts());
-    inputText.addEventListener('keydown', (e) => {
-      if (e.ctrlKey && e.key === 'Enter') {
-        this.humanizeText();
-      }
-    });
-    
-    outputText.addEventListener('input', () => this.updateCharCounts());
-    
-    // Button events
-    humaniseBtn.addEventListener('click', () => this.humanizeText());
-    copyBtn.addEventListener('click', () => this.copyToClipboard());
-    clearBtn.addEventListener('click', () => this.clearAll());
-    
-    // Options toggle
-    DOM.get('optionsToggle')?.addEventListener('click', () => this.toggleOptions());
-    
-    // Auto-save state
-    inputText.addEventListener('change', () => this.saveState());
-    DOM.get('perspectiveSelect').addEventListener('change', () => this.saveState());
-    DOM.get('toneSelect').addEventListener('change', () => this.saveState());
-    DOM.get('styleSelect').addEventListener('change', () => this.saveState());
-    DOM.get('maskPII').addEventListener('change', () => this.saveState());
-    DOM.get('maskBefore').addEventListener('change', () => this.saveState());
-  }
-  
-  /**
-   * Update character and word counts
-   */
-  updateCharCounts() {
-    const inputText = DOM.get('inputText').value;
-    const outputText = DOM.get('outputText').value;
-    
-    const inputWords = TextUtils.countWords(inputText);
-    const inputChars = inputText.length;
-    const outputWords = TextUtils.countWords(outputText);
-    const outputChars = outputText.length;
-    
-    DOM.get('inputCharCount').textContent = `${inputWords} words • ${inputChars} chars`;
-    DOM.get('outputCharCount').textContent = `${outputWords} words • ${outputChars} chars`;
-  }
-  
-  /**
-   * Show status message
-   */
-  showStatus(message, type = 'info') {
-    const statusEl = DOM.get('status');
-    statusEl.textContent = message;
-    statusEl.className = `status ${type}`;
-    statusEl.style.display = 'block';
-    
-    if (type === 'success') {
-      setTimeout(() => { statusEl.style.display = 'none'; }, 3000);
-    }
-  }
-  
-  /**
-   * Update UI processing state
-   */
-  updateUIProcessing(processing = true) {
-    const humaniseBtn = DOM.get('humaniseBtn');
-    humaniseBtn.disabled = processing;
-    humaniseBtn.textContent = processing ? 'Processing...' : 'Humanize Text (Ctrl+Enter)';
-    
-    if (processing) {
-      DOM.get('outputText').value = '';
-    }
-    
-    this.isProcessing = processing;
-  }
-  
-  /**
-   * Main humanize text function
-   */
-  async humanizeText() {
-    if (this.isProcessing) return;
-    
-    const inputText = DOM.get('inputText').value;
-    
-    // Validate input
-    const validation = TextUtils.validateInput(inputText);
-    if (!validation.valid) {
-      this.showStatus(validation.error, 'error');
-      return;
-    }
-    
-    this.updateUIProcessing(true);
-    this.showStatus('Processing your text...', 'info');
-    
-    try {
-      const perspective = DOM.get('perspectiveSelect').value;
-      const tone = DOM.get('toneSelect').value;
-      const style = DOM.get('styleSelect').value;
-      const maskBefore = DOM.get('maskBefore').checked;
-      const maskAfter = DOM.get('maskPII').checked;
-      
-      // Determine text category
-      const category = TextUtils.getTextCategory(inputText);
-      
-      // Step 1: Mask PII if needed
-      let textToProcess = inputText;
-      if (maskBefore) {
-        textToProcess = this.piiMasker.mask(inputText, true);
-      }
-      
-      // Step 2: Build prompt
-      const { system, user } = PromptBuilder.build(textToProcess, perspective, tone, style, category);
-      
-      // Step 3: Call LLM
-      let result = await this.llmClient.call(system, user, category);
-      
-      // Step 4: Post-process
-      result = PostProcessor.process(result);
-      
-      // Step 5: Unmask PII if it was masked
-      if (maskBefore && maskAfter) {
-        result = this.piiMasker.unmask(result);
-      }
-      
-      // Display result
-      DOM.get('outputText').value = result;
-      this.updateCharCounts();
-      this.showStatus('Text humanized successfully!', 'success');
-      
-    } catch (error) {
-      console.error('Humanization error:', error);
-      this.showStatus(`Error: ${error.message}`, 'error');
-    } finally {
-      this.updateUIProcessing(false);
-    }
-  }
-  
-  /**
-   * Copy output to clipboard
-   */
-  async copyToClipboard() {
-    const outputText = DOM.get('outputText').value;
-    
-    if (!outputText) {
-      this.showStatus('Nothing to copy', 'error');
-      return;
-    }
-    
-    try {
-      await navigator.clipboard.writeText(outputText);
-      this.showStatus('Copied to clipboard!', 'success');
-    } catch (error) {
-      console.error('Copy error:', error);
-      this.showStatus('Failed to copy', 'error');
-    }
-  }
-  
-  /**
-   * Clear all text
-   */
-  clearAll() {
-    if (confirm('Clear all text and settings?')) {
-      DOM.get('inputText').value = '';
-      DOM.get('outputText').value = '';
-      this.updateCharCounts();
-      this.piiMasker.reset();
-      this.showStatus('Cleared', 'success');
-    }
-  }
-  
-  /**
-   * Toggle options panel
-   */
-  toggleOptions() {
-    const options = DOM.get('options');
-    const isHidden = options.style.display === 'none';
-    options.style.display = isHidden ? 'block' : 'none';
-  }
-  
-  /**
-   * Save current state
-   */
-  async saveState() {
-    try {
-      const state = this.stateManager.getUIState();
-      await this.stateManager.save(state);
-    } catch (error) {
-      console.error('Error saving state:', error);
-    }
-  }
-}
-
-// ============================================================================
-// INITIALIZATION
-// ============================================================================
-
-let uiController;
-
-document.addEventListener('DOMContentLoaded', async () => {
-  uiController = new UIController();
-  await uiController.init();
-});
+/**
+ * Text Humanization Chrome Extension - Popup Script
+ * Refactored for performance, maintainability, and reliability
+ * 
+ * Features:
+ * - Local LLM integration (LM Studio)
+ * - PII masking and restoration
+ * - Adaptive prompt generation
+ * - State persistence
+ * 
+ * Depends on core.js (loaded first by popup.html)
+ */
+
+// ============================================================================
+// DOM ELEMENTS MODULE
+// ============================================================================
+
+const DOM = {
+  elements: {},
+  
+  init() {
+    this.elements = {
+      inputText: document.getElementById('inputText'),
+      richBadge: document.getElementById('richBadge'),
+      dropFormattingLink: document.getElementById('dropFormattingLink'),
+      outputText: document.getElementById('outputText'),
+      factWarnings: document.getElementById('factWarnings'),
+      factWarningsList: document.getElementById('factWarningsList'),
+      humaniseBtn: document.getElementById('humaniseBtn'),
+      operationSelect: document.getElementById('operationSelect'),
+      summaryLengthGroup: document.getElementById('summaryLengthGroup'),
+      summaryLength: document.getElementById('summaryLength'),
+      readingLevelGroup: document.getElementById('readingLevelGroup'),
+      readingLevel: document.getElementById('readingLevel'),
+      lengthMode: document.getElementById('lengthMode'),
+      lengthValueGroup: document.getElementById('lengthValueGroup'),
+      lengthValueLabel: document.getElementById('lengthValueLabel'),
+      lengthValue: document.getElementById('lengthValue'),
+      stopBtn: document.getElementById('stopBtn'),
+      copyBtn: document.getElementById('copyBtn'),
+      clearBtn: document.getElementById('clearBtn'),
+      status: document.getElementById('status'),
+      perspectiveSelect: document.getElementById('perspectiveSelect'),
+      toneSelect: document.getElementById('toneSelect'),
+      styleSelect: document.getElementById('styleSelect'),
+      modelSelect: document.getElementById('modelSelect'),
+      variantsSelect: document.getElementById('variantsSelect'),
+      presetSelect: document.getElementById('presetSelect'),
+      targetLanguage: document.getElementById('targetLanguage'),
+      detectedLanguage: document.getElementById('detectedLanguage'),
+      managePresetsLink: document.getElementById('managePresetsLink'),
+      voiceSelect: document.getElementById('voiceSelect'),
+      voiceMode: document.getElementById('voiceMode'),
+      manageVoicesLink: document.getElementById('manageVoicesLink'),
+      preserveStructure: document.getElementById('preserveStructure'),
+      postProcess: document.getElementById('postProcess'),
+      variantsPanel: document.getElementById('variantsPanel'),
+      maskPII: document.getElementById('maskPII'),
+      maskBefore: document.getElementById('maskBefore'),
+      historyRedactPII: document.getElementById('historyRedactPII'),
+      piiTypes: document.getElementById('piiTypes'),
+      piiSummary: document.getElementById('piiSummary'),
+      reviewPII: document.getElementById('reviewPII'),
+      pseudonymize: document.getElementById('pseudonymize'),
+      piiReview: document.getElementById('piiReview'),
+      piiReviewView: document.getElementById('piiReviewView'),
+      piiReviewSummary: document.getElementById('piiReviewSummary'),
+      piiMaskSelection: document.getElementById('piiMaskSelection'),
+      piiAlwaysMask: document.getElementById('piiAlwaysMask'),
+      piiReviewCancel: document.getElementById('piiReviewCancel'),
+      piiReviewSend: document.getElementById('piiReviewSend'),
+      inputCharCount: document.getElementById('inputCharCount'),
+      outputCharCount: document.getElementById('outputCharCount'),
+      optionsToggle: document.getElementById('optionsToggle'),
+      options: document.getElementById('options'),
+      settingsLink: document.getElementById('settingsLink'),
+      historyToggle: document.getElementById('historyToggle'),
+      historyPanel: document.getElementById('historyPanel'),
+      historySearch: document.getElementById('historySearch'),
+      historyList: document.getElementById('historyList'),
+      historyClearBtn: document.getElementById('historyClearBtn'),
+      diffToggle: document.getElementById('diffToggle'),
+      diffPanel: document.getElementById('diffPanel'),
+      diffSummary: document.getElementById('diffSummary'),
+      diffAcceptAll: document.getElementById('diffAcceptAll'),
+      diffRejectAll: document.getElementById('diffRejectAll'),
+      diffView: document.getElementById('diffView'),
+      analysisToggle: document.getElementById('analysisToggle'),
+      analysisPanel: document.getElementById('analysisPanel'),
+      analysisBody: document.getElementById('analysisBody'),
+      analysisDetails: document.getElementById('analysisDetails')
+    };
+    
+    this.validateElements();
+  },
+  
+  validateElements() {
+    const missing = Object.entries(this.elements)
+      .filter(([key, el]) => !el)
+      .map(([key]) => key);
+    
+    if (missing.length > 0) {
+      console.error('Missing DOM elements:', missing);
+    }
+  },
+  
+  get(key) {
+    return this.elements[key];
+  }
+};
+
+// ============================================================================
+// DIFF VIEW MODULE
+// ============================================================================
+
+const DiffView = {
+  /**
+   * Render word diff ops into a container
+   * @param {HTMLElement} container - Target element (emptied first)
+   * @param {Array<{type: string, text: string}>} ops - Ops from TextDiff
+   */
+  render(container, ops) {
+    container.textContent = '';
+    
+    ops.forEach(({ type, text }) => {
+      if (type === 'equal') {
+        container.appendChild(document.createTextNode(text));
+        return;
+      }
+      
+      const el = document.createElement(type === 'insert' ? 'ins' : 'del');
+      el.className = `diff-${type}`;
+      el.textContent = text;
+      container.appendChild(el);
+    });
+  },
+  
+  /**
+   * Render reviewable change segments; each change toggles on click
+   * @param {HTMLElement} container - Target element (emptied first)
+   * @param {Array<Object>} segments - Segments from TextDiff.changes()
+   * @param {Function} onToggle - Called with the change ID
+   */
+  renderChanges(container, segments, onToggle) {
+    container.textContent = '';
+    
+    segments.forEach((segment) => {
+      if (segment.type === 'equal') {
+        container.appendChild(document.createTextNode(segment.text));
+        return;
+      }
+      
+      const moved = segment.movedWith !== null;
+      const change = document.createElement('span');
+      change.className = 'diff-change';
+      change.classList.toggle('diff-moved', moved);
+      change.classList.toggle('rejected', !segment.accepted);
+      change.tabIndex = 0;
+      change.setAttribute('role', 'button');
+      change.setAttribute('aria-pressed', String(segment.accepted));
+      change.title = `${moved ? 'Moved sentence. ' : ''}Click to ${segment.accepted ? 'reject' : 'accept'}`;
+      
+      if (segment.deleted) {
+        const del = document.createElement('del');
+        del.className = 'diff-delete';
+        del.textContent = segment.deleted;
+        change.appendChild(del);
+      }
+      if (segment.inserted) {
+        const ins = document.createElement('ins');
+        ins.className = 'diff-insert';
+        ins.textContent = segment.inserted;
+        change.appendChild(ins);
+      }
+      
+      change.addEventListener('click', () => onToggle(segment.id));
+      change.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          onToggle(segment.id);
+        }
+      });
+      
+      container.appendChild(change);
+    });
+  }
+};
+
+// ============================================================================
+// DIFF PANEL MODULE
+// ============================================================================
+
+class DiffPanel {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onMerged - Called with the merged text after a change is toggled
+   */
+  constructor({ onMerged }) {
+    this.onMerged = onMerged;
+    this.original = '';
+    this.rewritten = '';
+    this.segments = null;
+  }
+  
+  /**
+   * Attach panel event listeners
+   */
+  init() {
+    DOM.get('diffToggle').addEventListener('click', () => this.toggle());
+    DOM.get('diffAcceptAll').addEventListener('click', () => this.setAll(true));
+    DOM.get('diffRejectAll').addEventListener('click', () => this.setAll(false));
+  }
+  
+  /**
+   * Set the texts to compare, discarding earlier review decisions
+   * @param {string} original - Input text
+   * @param {string} rewritten - Model output
+   */
+  setSource(original, rewritten) {
+    this.original = original;
+    this.rewritten = rewritten;
+    this.segments = null;
+    
+    if (this.isOpen()) this.render();
+  }
+  
+  /**
+   * Forget the current comparison
+   */
+  reset() {
+    this.setSource('', '');
+  }
+  
+  /**
+   * Whether the panel is open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return DOM.get('diffPanel').style.display !== 'none';
+  }
+  
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    const open = !this.isOpen();
+    
+    DOM.get('diffPanel').style.display = open ? 'block' : 'none';
+    DOM.get('diffToggle').textContent = open ? 'Hide Changes' : 'Show Changes';
+    DOM.get('diffToggle').setAttribute('aria-expanded', String(open));
+    
+    if (open) this.render();
+  }
+  
+  /**
+   * Render the diff, computing it on first use
+   */
+  render() {
+    if (!this.segments) {
+      this.segments = TextDiff.changes(this.original, this.rewritten);
+    }
+    
+    DiffView.renderChanges(DOM.get('diffView'), this.segments, (id) => this.toggleChange(id));
+    this.updateSummary();
+  }
+  
+  /**
+   * Accept or reject one change (and its moved counterpart)
+   * @param {number} id - Change ID
+   */
+  toggleChange(id) {
+    const change = this.segments[id];
+    change.accepted = !change.accepted;
+    
+    if (change.movedWith !== null) {
+      this.segments[change.movedWith].accepted = change.accepted;
+    }
+    
+    this.applyMerge();
+  }
+  
+  /**
+   * Accept or reject every change
+   * @param {boolean} accepted - New state
+   */
+  setAll(accepted) {
+    if (!this.segments) return;
+    
+    this.segments.forEach((segment) => {
+      if (segment.type === 'change') segment.accepted = accepted;
+    });
+    
+    this.applyMerge();
+  }
+  
+  /**
+   * Re-render and publish the merged text
+   */
+  applyMerge() {
+    this.render();
+    this.onMerged(TextDiff.merge(this.segments));
+  }
+  
+  /**
+   * Update the change counter
+   */
+  updateSummary() {
+    const changes = this.segments.filter((segment) => segment.type === 'change');
+    const accepted = changes.filter((change) => change.accepted).length;
+    
+    DOM.get('diffSummary').textContent = changes.length === 0
+      ? 'No changes'
+      : `${changes.length} changes • ${accepted} accepted`;
+  }
+}
+
+// ============================================================================
+// ANALYSIS PANEL MODULE
+// ============================================================================
+
+// Rows of the analysis table; "better" says which direction reads as more human
+const ANALYSIS_METRICS = [
+  { key: 'words', label: 'Words', better: null },
+  { key: 'readingEase', label: 'Reading ease (Flesch)', better: 'higher' },
+  { key: 'gradeLevel', label: 'Grade level', better: 'lower' },
+  { key: 'avgSentenceLength', label: 'Avg sentence length', better: null },
+  { key: 'burstiness', label: 'Burstiness (length variation %)', better: 'higher' },
+  { key: 'passiveRatio', label: 'Passive sentences %', better: 'lower' },
+  { key: 'emDashesPer100', label: 'Em dashes per 100 words', better: 'lower' },
+  { key: 'tellCount', label: 'AI tells', better: 'lower' },
+  { key: 'repeatedCount', label: 'Repeated phrases', better: 'lower' }
+];
+
+class AnalysisPanel {
+  constructor() {
+    this.timer = null;
+  }
+  
+  /**
+   * Attach panel event listeners
+   */
+  init() {
+    DOM.get('analysisToggle').addEventListener('click', () => this.toggle());
+  }
+  
+  /**
+   * Whether the panel is open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return DOM.get('analysisPanel').style.display !== 'none';
+  }
+  
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    const open = !this.isOpen();
+    
+    DOM.get('analysisPanel').style.display = open ? 'block' : 'none';
+    DOM.get('analysisToggle').textContent = open ? 'Hide Analysis' : 'Show Analysis';
+    DOM.get('analysisToggle').setAttribute('aria-expanded', String(open));
+    
+    if (open) this.render();
+  }
+  
+  /**
+   * Re-render if open, after the input or output changed
+   */
+  refresh() {
+    clearTimeout(this.timer);
+    if (this.isOpen()) this.render();
+  }
+  
+  /**
+   * Refresh after typing pauses
+   */
+  scheduleRefresh() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.refresh(), 300);
+  }
+  
+  /**
+   * Analyze the input and output and fill the table
+   */
+  render() {
+    const before = this._analyze(DOM.get('inputText').value);
+    const output = DOM.get('outputText').value;
+    const after = output.trim() ? this._analyze(output) : null;
+    
+    const body = DOM.get('analysisBody');
+    body.replaceChildren();
+    
+    ANALYSIS_METRICS.forEach(({ key, label, better }) => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      const inputCell = document.createElement('td');
+      const outputCell = document.createElement('td');
+      
+      name.textContent = label;
+      inputCell.textContent = String(before[key]);
+      outputCell.textContent = after ? String(after[key]) : '—';
+      
+      if (after && better && after[key] !== before[key]) {
+        const improved = better === 'higher' ? after[key] > before[key] : after[key] < before[key];
+        outputCell.className = improved ? 'better' : 'worse';
+      }
+      
+      row.append(name, inputCell, outputCell);
+      body.appendChild(row);
+    });
+    
+    const details = DOM.get('analysisDetails');
+    details.replaceChildren();
+    [['Input', before], ['Result', after]].forEach(([title, analysis]) => {
+      if (!analysis) return;
+      
+      const tells = analysis.tells.map(({ term, count }) => (count > 1 ? `${term} ×${count}` : term));
+      if (analysis.emDashOveruse) tells.push('em-dash overuse');
+      const repeated = analysis.repeatedPhrases.map(({ phrase, count }) => `"${phrase}" ×${count}`);
+      
+      const line = document.createElement('div');
+      line.textContent = `${title} tells: ${tells.join(', ') || 'none'} • Repeated: ${repeated.join(', ') || 'none'}`;
+      details.appendChild(line);
+    });
+  }
+  
+  /**
+   * Analyze text, adding the count of repeated phrases
+   * @private
+   */
+  _analyze(text) {
+    const analysis = TextAnalyzer.analyze(text);
+    return { ...analysis, repeatedCount: analysis.repeatedPhrases.length };
+  }
+}
+
+// ============================================================================
+// FACT WARNINGS MODULE
+// ============================================================================
+
+class FactWarnings {
+  /**
+   * List input facts the output lost or changed under the output
+   * @param {string} input - Original text
+   * @param {string} output - Text in the output
+   */
+  check(input, output) {
+    this.render(FactChecker.compare(input, output));
+  }
+  
+  /**
+   * Hide the strip
+   */
+  clear() {
+    this.render([]);
+  }
+  
+  /**
+   * Fill the strip, one button per issue
+   * @param {Array} issues - Result of FactChecker.compare()
+   */
+  render(issues) {
+    const list = DOM.get('factWarningsList');
+    list.replaceChildren();
+    DOM.get('factWarnings').hidden = issues.length === 0;
+    
+    issues.forEach((issue) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = FactChecker.describe(issue);
+      button.title = 'Highlight in the output';
+      button.addEventListener('click', () => this.highlight(issue));
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * Select the spot an issue points to in the output
+   * @param {{start: number, end: number}} issue - Issue with output offsets
+   */
+  highlight({ start, end }) {
+    const outputText = DOM.get('outputText');
+    outputText.focus();
+    outputText.setSelectionRange(start, end);
+    
+    // Scroll the selection into view: a textarea only scrolls to the caret on its own
+    const lines = outputText.value.slice(0, start).split('\n').length - 1;
+    const lineHeight = parseFloat(getComputedStyle(outputText).lineHeight) || 18;
+    outputText.scrollTop = Math.max(0, lines * lineHeight - outputText.clientHeight / 2);
+  }
+}
+
+// ============================================================================
+// HISTORY PANEL MODULE
+// ============================================================================
+
+class HistoryPanel {
+  /**
+   * @param {HistoryStore} store - History storage
+   * @param {Object} handlers
+   * @param {Function} handlers.onRestore - Called with an entry to restore
+   * @param {Function} handlers.onRerun - Called with an entry to run again
+   * @param {Function} handlers.onStatus - Called with (message, type)
+   */
+  constructor(store, { onRestore, onRerun, onStatus }) {
+    this.store = store;
+    this.onRestore = onRestore;
+    this.onRerun = onRerun;
+    this.onStatus = onStatus;
+    this.searchTimer = null;
+  }
+  
+  /**
+   * Attach panel event listeners
+   */
+  init() {
+    DOM.get('historyToggle').addEventListener('click', () => this.toggle());
+    DOM.get('historySearch').addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.refresh(), 200);
+    });
+    DOM.get('historyClearBtn').addEventListener('click', () => this.clear());
+  }
+  
+  /**
+   * Whether the panel is open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return DOM.get('historyPanel').style.display !== 'none';
+  }
+  
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    const panel = DOM.get('historyPanel');
+    const open = !this.isOpen();
+    
+    panel.style.display = open ? 'block' : 'none';
+    DOM.get('historyToggle').setAttribute('aria-expanded', String(open));
+    
+    if (open) this.refresh();
+  }
+  
+  /**
+   * Re-render the entry list
+   */
+  async refresh() {
+    if (!this.isOpen()) return;
+    
+    try {
+      const entries = await this.store.list(DOM.get('historySearch').value);
+      this.renderList(entries);
+    } catch (error) {
+      console.error('Error loading history:', error);
+      this.onStatus('Failed to load history', 'error');
+    }
+  }
+  
+  /**
+   * Render entries into the list
+   * @param {Object[]} entries - History entries
+   */
+  renderList(entries) {
+    const list = DOM.get('historyList');
+    list.textContent = '';
+    
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = DOM.get('historySearch').value ? 'No matching entries' : 'No history yet';
+      list.appendChild(empty);
+      return;
+    }
+    
+    entries.forEach((entry) => list.appendChild(this.renderEntry(entry)));
+  }
+  
+  /**
+   * Build the element for one entry
+   * @param {Object} entry - History entry
+   * @returns {HTMLElement}
+   */
+  renderEntry(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const when = new Date(entry.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    const model = entry.model ? ` • ${entry.model}` : '';
+    const preset = entry.preset ? ` • ${entry.preset}` : '';
+    const voice = entry.voice ? ` • voice of ${entry.voice}` : '';
+    const operation = entry.operation && entry.operation !== 'humanize' ? ` • ${CONFIG.OPERATIONS[entry.operation]?.label || entry.operation}` : '';
+    meta.textContent = `${when}${operation} • ${entry.tone} / ${entry.style}${preset}${voice}${model} • ${TextUtils.countWords(entry.output)} words`;
+    
+    const snippet = document.createElement('div');
+    snippet.className = 'history-snippet';
+    snippet.textContent = entry.output;
+    snippet.title = entry.input;
+    
+    const diff = document.createElement('div');
+    diff.className = 'diff-view';
+    diff.style.display = 'none';
+    
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.append(
+      this._button('Restore', () => this.onRestore(entry)),
+      this._button('Re-run', () => this.onRerun(entry)),
+      this._button('Diff', () => this._toggleDiff(diff, entry)),
+      this._button('Delete', () => this.remove(entry.id), 'danger')
+    );
+    
+    item.append(meta, snippet, actions, diff);
+    return item;
+  }
+  
+  /**
+   * Delete one entry
+   * @param {string} id - Entry ID
+   */
+  async remove(id) {
+    try {
+      await this.store.remove(id);
+      await this.refresh();
+    } catch (error) {
+      console.error('Error deleting history entry:', error);
+      this.onStatus('Failed to delete entry', 'error');
+    }
+  }
+  
+  /**
+   * Delete all entries after confirmation
+   */
+  async clear() {
+    if (!confirm('Delete all history entries?')) return;
+    
+    try {
+      await this.store.clear();
+      await this.refresh();
+      this.onStatus('History cleared', 'success');
+    } catch (error) {
+      console.error('Error clearing history:', error);
+      this.onStatus('Failed to clear history', 'error');
+    }
+  }
+  
+  /**
+   * Show or hide an entry's input/output diff
+   * @private
+   */
+  _toggleDiff(container, entry) {
+    const show = container.style.display === 'none';
+    if (show && !container.hasChildNodes()) {
+      DiffView.render(container, TextDiff.diffWords(entry.input, entry.output));
+    }
+    container.style.display = show ? 'block' : 'none';
+  }
+  
+  /**
+   * @private
+   */
+  _button(label, onClick, className = '') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    if (className) button.className = className;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
+
+// ============================================================================
+// VARIANTS PANEL MODULE
+// ============================================================================
+
+class VariantsPanel {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onPromote - Called with the index of the variant to show in the output
+   * @param {Function} handlers.onSave - Called with the index of the variant to save to history
+   */
+  constructor({ onPromote, onSave }) {
+    this.onPromote = onPromote;
+    this.onSave = onSave;
+    this.variants = [];
+    this.activeIndex = 0;
+    this.savedIndexes = new Set();
+  }
+  
+  /**
+   * Show candidate cards
+   * @param {Object[]} variants - Variants from HumanizePipeline.run()
+   */
+  show(variants) {
+    this.variants = variants;
+    this.activeIndex = 0;
+    this.savedIndexes.clear();
+    this.render();
+    DOM.get('variantsPanel').style.display = 'grid';
+  }
+  
+  /**
+   * Hide and forget candidates
+   */
+  hide() {
+    this.variants = [];
+    DOM.get('variantsPanel').style.display = 'none';
+    DOM.get('variantsPanel').textContent = '';
+  }
+  
+  /**
+   * Mark a variant as the one in the output
+   * @param {number} index - Variant index
+   */
+  setActive(index) {
+    this.activeIndex = index;
+    this.render();
+  }
+  
+  /**
+   * Mark a variant as saved to history
+   * @param {number} index - Variant index
+   */
+  markSaved(index) {
+    this.savedIndexes.add(index);
+    this.render();
+  }
+  
+  /**
+   * Render one card per variant
+   */
+  render() {
+    const panel = DOM.get('variantsPanel');
+    panel.textContent = '';
+    
+    this.variants.forEach((variant, index) => {
+      const card = document.createElement('div');
+      card.className = 'variant-card';
+      card.classList.toggle('active', index === this.activeIndex);
+      
+      const meta = document.createElement('div');
+      meta.className = 'variant-meta';
+      const stopped = variant.stopped ? ' • stopped' : '';
+      const missing = variant.restoration?.missing || [];
+      const termsLost = missing.filter(({ type }) => type === Glossary.TYPE).length;
+      const piiLost = missing.length - termsLost;
+      const lost = (piiLost ? ` • ${piiLost} PII lost` : '') + (termsLost ? ` • ${termsLost} terms lost` : '');
+      const edits = variant.postEdits ? ` • ${variant.postEdits} fixes` : '';
+      const failedChecks = variant.qualityIssues?.length ? ' • failed checks' : '';
+      meta.textContent = `Variant ${index + 1} • temp ${variant.temperature} • ${TextUtils.countWords(variant.text)} words${stopped}${lost}${edits}${failedChecks}`;
+      
+      const text = document.createElement('div');
+      text.className = 'variant-text';
+      text.textContent = variant.text;
+      
+      const actions = document.createElement('div');
+      actions.className = 'variant-actions';
+      
+      const useBtn = document.createElement('button');
+      useBtn.className = 'secondary-btn';
+      useBtn.textContent = index === this.activeIndex ? 'In Output' : 'Use';
+      useBtn.disabled = index === this.activeIndex;
+      useBtn.addEventListener('click', () => this.onPromote(index));
+      
+      const saveBtn = document.createElement('button');
+      saveBtn.className = 'secondary-btn';
+      saveBtn.textContent = this.savedIndexes.has(index) ? 'Saved' : 'Save to History';
+      saveBtn.disabled = this.savedIndexes.has(index);
+      saveBtn.addEventListener('click', () => this.onSave(index));
+      
+      actions.append(useBtn, saveBtn);
+      card.append(meta, text, actions);
+      panel.appendChild(card);
+    });
+  }
+}
+
+// ============================================================================
+// PII REVIEW PANEL MODULE
+// ============================================================================
+
+class PIIReviewPanel {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onAlwaysMask - Called with a term to add to the always-mask list
+   */
+  constructor({ onAlwaysMask }) {
+    this.onAlwaysMask = onAlwaysMask;
+    this.text = '';
+    this.entities = [];
+    this.resolve = null;
+  }
+  
+  /**
+   * Bind review controls
+   */
+  init() {
+    const selectionButtons = [DOM.get('piiMaskSelection'), DOM.get('piiAlwaysMask')];
+    
+    // Keep the text selection when these buttons are pressed
+    selectionButtons.forEach((button) => button.addEventListener('mousedown', (e) => e.preventDefault()));
+    
+    DOM.get('piiMaskSelection').addEventListener('click', () => this.maskSelection());
+    DOM.get('piiAlwaysMask').addEventListener('click', () => this.alwaysMaskSelection());
+    DOM.get('piiReviewCancel').addEventListener('click', () => this.finish(null));
+    DOM.get('piiReviewSend').addEventListener('click', () => {
+      this.finish(this.entities.filter((entity) => entity.masked).map(({ masked, ...entity }) => entity));
+    });
+    DOM.get('piiReviewView').addEventListener('click', (e) => {
+      const mark = e.target.closest('.pii-mark');
+      if (mark && window.getSelection().isCollapsed) this.toggle(Number(mark.dataset.index));
+    });
+  }
+  
+  /**
+   * Whether a review is waiting for the user
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.resolve !== null;
+  }
+  
+  /**
+   * Show detected entities and wait for the user to confirm
+   * @param {string} text - Input text
+   * @param {Object[]} entities - Entities from PIIDetector.detect()
+   * @returns {Promise<Object[]|null>} Entities to mask, or null if cancelled
+   */
+  review(text, entities) {
+    this.finish(null);
+    
+    this.text = text;
+    this.entities = entities.map((entity) => ({ ...entity, masked: true }));
+    this.render();
+    DOM.get('piiReview').style.display = 'block';
+    
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+    });
+  }
+  
+  /**
+   * Close the review and hand the result to the waiting run
+   * @param {Object[]|null} entities - Entities to mask, or null to cancel
+   */
+  finish(entities) {
+    if (!this.resolve) return;
+    
+    const resolve = this.resolve;
+    this.resolve = null;
+    DOM.get('piiReview').style.display = 'none';
+    DOM.get('piiReviewView').textContent = '';
+    resolve(entities);
+  }
+  
+  /**
+   * Switch one entity between masked and left as is
+   * @param {number} index - Entity index
+   */
+  toggle(index) {
+    const entity = this.entities[index];
+    if (!entity) return;
+    
+    entity.masked = !entity.masked;
+    this.render();
+  }
+  
+  /**
+   * Mask the selected text for this run
+   */
+  maskSelection() {
+    const span = this._selectedSpan();
+    if (!span || !this.addSpan(span.start, span.end)) return;
+    
+    window.getSelection().removeAllRanges();
+    this.render();
+  }
+  
+  /**
+   * Mask the selected text everywhere, now and in future runs
+   */
+  async alwaysMaskSelection() {
+    const span = this._selectedSpan();
+    const term = span ? this.text.slice(span.start, span.end).trim() : '';
+    if (!term) return;
+    
+    await this.onAlwaysMask(term);
+    
+    const onlyCustom = Object.fromEntries(Object.keys(CONFIG.PII.TYPES).map((type) => [type, type === 'CUSTOM']));
+    PIIDetector.detect(this.text, { types: onlyCustom, alwaysMask: [term] })
+      .forEach(({ start, end }) => this.addSpan(start, end));
+    
+    window.getSelection().removeAllRanges();
+    this.render();
+  }
+  
+  /**
+   * Add a hand-marked span, replacing any entities it overlaps
+   * @param {number} start - Start offset in the input
+   * @param {number} end - End offset in the input
+   * @returns {boolean} Whether a span was added
+   */
+  addSpan(start, end) {
+    while (start < end && /\s/.test(this.text[start])) start++;
+    while (end > start && /\s/.test(this.text[end - 1])) end--;
+    if (start === end) return false;
+    
+    this.entities = this.entities.filter((entity) => entity.end <= start || entity.start >= end);
+    this.entities.push({ type: 'CUSTOM', start, end, value: this.text.slice(start, end), masked: true });
+    this.entities.sort((a, b) => a.start - b.start);
+    return true;
+  }
+  
+  /**
+   * Render the input with highlighted entities and the summary line
+   */
+  render() {
+    const view = DOM.get('piiReviewView');
+    view.textContent = '';
+    let cursor = 0;
+    
+    this.entities.forEach((entity, index) => {
+      view.appendChild(document.createTextNode(this.text.slice(cursor, entity.start)));
+      
+      const mark = document.createElement('mark');
+      mark.className = entity.masked ? 'pii-mark' : 'pii-mark kept';
+      mark.dataset.index = index;
+      mark.textContent = entity.value;
+      mark.title = `${CONFIG.PII.TYPES[entity.type].singular}: click to ${entity.masked ? 'leave unmasked' : 'mask'}`;
+      view.appendChild(mark);
+      
+      cursor = entity.end;
+    });
+    view.appendChild(document.createTextNode(this.text.slice(cursor)));
+    
+    const masked = this.entities.filter((entity) => entity.masked);
+    const kept = this.entities.length - masked.length;
+    const summary = PIIDetector.describe(PIIDetector.count(masked));
+    DOM.get('piiReviewSummary').textContent =
+      `${summary ? `Will mask: ${summary}` : 'Nothing will be masked'}${kept > 0 ? ` • ${kept} left unmasked` : ''}`;
+  }
+  
+  /**
+   * Selection offsets within the input text, if the selection is in the review view
+   * @private
+   */
+  _selectedSpan() {
+    const view = DOM.get('piiReviewView');
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+    
+    const range = selection.getRangeAt(0);
+    if (!view.contains(range.startContainer) || !view.contains(range.endContainer)) return null;
+    
+    // The view holds the input text verbatim, so text length before a point is its offset
+    const offset = (node, nodeOffset) => {
+      const before = document.createRange();
+      before.selectNodeContents(view);
+      before.setEnd(node, nodeOffset);
+      return before.toString().length;
+    };
+    
+    return { start: offset(range.startContainer, range.startOffset), end: offset(range.endContainer, range.endOffset) };
+  }
+}
+
+// ============================================================================
+// UI CONTROLLER MODULE
+// ============================================================================
+
+class UIController {
+  constructor() {
+    this.piiMasker = new PIIMasker();
+    this.llmClient = new LLMClient();
+    this.pipeline = new HumanizePipeline(this.llmClient, this.piiMasker);
+    this.historyStore = new HistoryStore();
+    this.historyPanel = new HistoryPanel(this.historyStore, {
+      onRestore: (entry) => this.restoreHistoryEntry(entry),
+      onRerun: (entry) => this.rerunHistoryEntry(entry),
+      onStatus: (message, type) => this.showStatus(message, type)
+    });
+    this.variantsPanel = new VariantsPanel({
+      onPromote: (index) => this.promoteVariant(index),
+      onSave: (index) => this.saveVariant(index)
+    });
+    this.piiReviewPanel = new PIIReviewPanel({
+      onAlwaysMask: (term) => this.addAlwaysMaskTerm(term)
+    });
+    this.lastRun = null;
+    this.targetWords = null;  // Word count the last run aimed for, shown next to the output count
+    this.richInput = null;
+    this.richOutput = null;
+    this.diffPanel = new DiffPanel({
+      onMerged: (text) => {
+        DOM.get('outputText').value = text;
+        this.updateCharCounts();
+        this.analysisPanel.refresh();
+        this.factWarnings.check(this.lastRun ? this.factSource() : DOM.get('inputText').value, text);
+      }
+    });
+    this.analysisPanel = new AnalysisPanel();
+    this.factWarnings = new FactWarnings();
+    this.stateManager = new StateManager();
+    this.isProcessing = false;
+    this.availableModels = [];
+    this.modelChoices = {};
+    this.presets = [];
+    this.voiceProfiles = [];
+    this.piiNames = [];
+    this.piiAlwaysMask = [];
+    this.bannedWords = [];
+    this.preferredWords = [];
+    this.glossary = [];
+    this.piiSummaryTimer = null;
+  }
+  
+  /**
+   * Initialize UI and event listeners
+   */
+  async init() {
+    DOM.init();
+    await this.loadSettings();
+    await this.loadPresets();
+    await this.loadVoiceProfiles();
+    await this.loadState();
+    this.attachEventListeners();
+    this.historyPanel.init();
+    this.diffPanel.init();
+    this.analysisPanel.init();
+    this.piiReviewPanel.init();
+    
+    // Model discovery must not block the popup
+    this.loadModels();
+  }
+  
+  /**
+   * Load LLM settings from the options page
+   */
+  async loadSettings() {
+    try {
+      const settings = await this.stateManager.loadSettings();
+      this.llmClient.configure(settings);
+      this.piiNames = settings.piiNames;
+      this.piiAlwaysMask = settings.piiAlwaysMask;
+      this.bannedWords = settings.bannedWords;
+      this.preferredWords = settings.preferredWords;
+      this.glossary = settings.glossary;
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  }
+  
+  /**
+   * Load presets and fill the preset picker
+   */
+  async loadPresets() {
+    try {
+      this.presets = await this.stateManager.loadPresets();
+    } catch (error) {
+      console.error('Error loading presets:', error);
+      this.presets = [];
+    }
+    
+    const select = DOM.get('presetSelect');
+    select.replaceChildren(new Option('None', ''));
+    this.presets.forEach((preset) => {
+      select.appendChild(new Option(preset.name, preset.id));
+    });
+  }
+  
+  /**
+   * Load voice profiles and fill the voice picker
+   */
+  async loadVoiceProfiles() {
+    try {
+      this.voiceProfiles = await this.stateManager.loadVoiceProfiles();
+    } catch (error) {
+      console.error('Error loading voice profiles:', error);
+      this.voiceProfiles = [];
+    }
+    
+    const select = DOM.get('voiceSelect');
+    select.replaceChildren(new Option('Off', ''));
+    this.voiceProfiles.forEach((profile) => {
+      select.appendChild(new Option(profile.name, profile.id));
+    });
+    
+    DOM.get('voiceMode').replaceChildren(...Object.entries(CONFIG.VOICE_MODES).map(([id, label]) => new Option(label, id)));
+  }
+  
+  /**
+   * Voice to match for a run
+   * @returns {{profile: Object, mode: string}|null} Null when voice matching is off
+   */
+  getActiveVoice() {
+    const id = DOM.get('voiceSelect').value;
+    const profile = this.voiceProfiles.find((item) => item.id === id);
+    return profile ? { profile, mode: DOM.get('voiceMode').value } : null;
+  }
+  
+  /**
+   * Currently selected preset
+   * @returns {Object|null} Preset, or null when none is selected
+   */
+  getActivePreset() {
+    const id = DOM.get('presetSelect').value;
+    return this.presets.find((preset) => preset.id === id) || null;
+  }
+  
+  /**
+   * Apply the selected preset's perspective, tone and style
+   */
+  applyPreset() {
+    const preset = this.getActivePreset();
+    if (!preset) return;
+    
+    this.applyEntryOptions(preset);
+    this.showStatus(`Preset "${preset.name}" selected`, 'info');
+  }
+  
+  /**
+   * Load saved state
+   */
+  async loadState() {
+    try {
+      const state = await this.stateManager.load();
+      
+      if (state[CONFIG.STORAGE_KEYS.INPUT_TEXT]) {
+        DOM.get('inputText').value = state[CONFIG.STORAGE_KEYS.INPUT_TEXT];
+      }
+      if (state[CONFIG.STORAGE_KEYS.RICH_INPUT]?.plain === DOM.get('inputText').value) {
+        this.setRichInput(state[CONFIG.STORAGE_KEYS.RICH_INPUT]);
+      }
+      if (state[CONFIG.STORAGE_KEYS.PERSPECTIVE]) {
+        DOM.get('perspectiveSelect').value = state[CONFIG.STORAGE_KEYS.PERSPECTIVE];
+      }
+      if (state[CONFIG.STORAGE_KEYS.TONE]) {
+        DOM.get('toneSelect').value = state[CONFIG.STORAGE_KEYS.TONE];
+      }
+      if (state[CONFIG.STORAGE_KEYS.STYLE]) {
+        DOM.get('styleSelect').value = state[CONFIG.STORAGE_KEYS.STYLE];
+      }
+      if (state[CONFIG.STORAGE_KEYS.MASK_PII] !== undefined) {
+        DOM.get('maskPII').checked = state[CONFIG.STORAGE_KEYS.MASK_PII];
+      }
+      if (state[CONFIG.STORAGE_KEYS.MASK_BEFORE] !== undefined) {
+        DOM.get('maskBefore').checked = state[CONFIG.STORAGE_KEYS.MASK_BEFORE];
+      }
+      if (state[CONFIG.STORAGE_KEYS.HISTORY_REDACT_PII] !== undefined) {
+        DOM.get('historyRedactPII').checked = state[CONFIG.STORAGE_KEYS.HISTORY_REDACT_PII];
+      }
+      if (state[CONFIG.STORAGE_KEYS.REVIEW_PII] !== undefined) {
+        DOM.get('reviewPII').checked = state[CONFIG.STORAGE_KEYS.REVIEW_PII];
+      }
+      if (state[CONFIG.STORAGE_KEYS.PSEUDONYMIZE] !== undefined) {
+        DOM.get('pseudonymize').checked = state[CONFIG.STORAGE_KEYS.PSEUDONYMIZE];
+      }
+      if (state[CONFIG.STORAGE_KEYS.PRESERVE_STRUCTURE] !== undefined) {
+        DOM.get('preserveStructure').checked = state[CONFIG.STORAGE_KEYS.PRESERVE_STRUCTURE];
+      }
+      if (state[CONFIG.STORAGE_KEYS.POST_PROCESS] !== undefined) {
+        DOM.get('postProcess').checked = state[CONFIG.STORAGE_KEYS.POST_PROCESS];
+      }
+      if (state[CONFIG.STORAGE_KEYS.VARIANTS]) {
+        DOM.get('variantsSelect').value = state[CONFIG.STORAGE_KEYS.VARIANTS];
+      }
+      
+      this.renderLanguageOptions(state[CONFIG.STORAGE_KEYS.TARGET_LANGUAGE] || '');
+      this.renderOperationOptions(state);
+      if (this.presets.some((preset) => preset.id === state[CONFIG.STORAGE_KEYS.ACTIVE_PRESET])) {
+        DOM.get('presetSelect').value = state[CONFIG.STORAGE_KEYS.ACTIVE_PRESET];
+      }
+      if (this.voiceProfiles.some((profile) => profile.id === state[CONFIG.STORAGE_KEYS.ACTIVE_VOICE])) {
+        DOM.get('voiceSelect').value = state[CONFIG.STORAGE_KEYS.ACTIVE_VOICE];
+      }
+      if (CONFIG.VOICE_MODES[state[CONFIG.STORAGE_KEYS.VOICE_MODE]]) {
+        DOM.get('voiceMode').value = state[CONFIG.STORAGE_KEYS.VOICE_MODE];
+      }
+      if (state[CONFIG.STORAGE_KEYS.MODEL_CHOICES]) {
+        this.modelChoices = state[CONFIG.STORAGE_KEYS.MODEL_CHOICES];
+      }
+      
+      this.renderModelOptions();
+      this.renderPIITypes(state[CONFIG.STORAGE_KEYS.PII_TYPES] || {});
+      
+      this.updateCharCounts();
+      this.updatePIISummary();
+    } catch (error) {
+      console.error('Error loading state:', error);
+    }
+  }
+  
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    const inputText = DOM.get('inputText');
+    const outputText = DOM.get('outputText');
+    const humaniseBtn = DOM.get('humaniseBtn');
+    const stopBtn = DOM.get('stopBtn');
+    const copyBtn = DOM.get('copyBtn');
+    const clearBtn = DOM.get('clearBtn');
+    
+    // Input events
+    inputText.addEventListener('input', () => {
+      if (this.richInput && inputText.value !== this.richInput.plain) {
+        this.setRichInput(null);
+      }
+      this.updateCharCounts();
+      this.schedulePIISummary();
+      this.analysisPanel.scheduleRefresh();
+    });
+    inputText.addEventListener('paste', (e) => this.handlePaste(e));
+    DOM.get('dropFormattingLink').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.setRichInput(null);
+      this.saveState();
+    });
+    inputText.addEventListener('keydown', (e) => {
+      if (e.ctrlKey && e.key === 'Enter') {
+        this.humanizeText();
+      }
+    });
+    
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isProcessing) {
+        e.preventDefault();
+        this.stopGeneration();
+      }
+    });
+    
+    outputText.addEventListener('input', () => this.updateCharCounts());
+    
+    // Button events
+    humaniseBtn.addEventListener('click', () => this.humanizeText());
+    stopBtn.addEventListener('click', () => this.stopGeneration());
+    copyBtn.addEventListener('click', () => this.copyToClipboard());
+    clearBtn.addEventListener('click', () => this.clearAll());
+    
+    // Options toggle
+    DOM.get('optionsToggle')?.addEventListener('click', () => this.toggleOptions());
+    
+    // Settings page
+    DOM.get('settingsLink')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+    DOM.get('managePresetsLink')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL('options.html#presets') });
+    });
+    DOM.get('manageVoicesLink')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL('options.html#voices') });
+    });
+    
+    // Auto-save state
+    inputText.addEventListener('change', () => this.saveState());
+    DOM.get('perspectiveSelect').addEventListener('change', () => this.saveState());
+    DOM.get('toneSelect').addEventListener('change', () => {
+      this.applyModelChoice();
+      this.saveState();
+    });
+    DOM.get('styleSelect').addEventListener('change', () => {
+      this.applyModelChoice();
+      this.saveState();
+    });
+    DOM.get('modelSelect').addEventListener('change', () => {
+      this.rememberModelChoice();
+      this.saveState();
+    });
+    DOM.get('maskPII').addEventListener('change', () => this.saveState());
+    DOM.get('maskBefore').addEventListener('change', () => {
+      this.updatePIISummary();
+      this.saveState();
+    });
+    DOM.get('piiTypes').addEventListener('change', () => {
+      this.updatePIISummary();
+      this.saveState();
+    });
+    DOM.get('historyRedactPII').addEventListener('change', () => this.saveState());
+    DOM.get('reviewPII').addEventListener('change', () => this.saveState());
+    DOM.get('pseudonymize').addEventListener('change', () => this.saveState());
+    DOM.get('variantsSelect').addEventListener('change', () => this.saveState());
+    DOM.get('targetLanguage').addEventListener('change', () => this.saveState());
+    DOM.get('operationSelect').addEventListener('change', () => {
+      this.updateOperationUI();
+      this.saveState();
+    });
+    DOM.get('summaryLength').addEventListener('change', () => this.saveState());
+    DOM.get('readingLevel').addEventListener('change', () => this.saveState());
+    DOM.get('lengthMode').addEventListener('change', () => {
+      this.updateOperationUI();
+      this.saveState();
+    });
+    DOM.get('lengthValue').addEventListener('change', () => this.saveState());
+    DOM.get('voiceSelect').addEventListener('change', () => this.saveState());
+    DOM.get('voiceMode').addEventListener('change', () => this.saveState());
+    DOM.get('preserveStructure').addEventListener('change', () => this.saveState());
+    DOM.get('postProcess').addEventListener('change', () => this.saveState());
+    DOM.get('presetSelect').addEventListener('change', () => {
+      this.applyPreset();
+      this.saveState();
+    });
+  }
+  
+  /**
+   * Query the server for loaded models and fill the model picker
+   */
+  async loadModels() {
+    try {
+      this.availableModels = await this.llmClient.listModels();
+    } catch (error) {
+      console.warn('Model discovery failed:', error);
+      this.availableModels = [];
+    }
+    
+    this.renderModelOptions();
+    
+    const configured = this.llmClient.settings.model;
+    if (this.availableModels.length > 0 && !this.availableModels.includes(configured)) {
+      this.showStatus(`Configured model "${configured}" isn't loaded. Using "${this.availableModels[0]}" unless you pick another.`, 'info');
+    }
+  }
+  
+  /**
+   * Rebuild the model dropdown from discovered models
+   */
+  renderModelOptions() {
+    const modelSelect = DOM.get('modelSelect');
+    const configured = this.llmClient.settings.model;
+    const models = [...this.availableModels];
+    
+    // Keep remembered choices selectable even before discovery finishes
+    Object.values(this.modelChoices).forEach((model) => {
+      if (!models.includes(model)) models.push(model);
+    });
+    
+    modelSelect.innerHTML = '';
+    modelSelect.appendChild(new Option(`Default (${configured})`, ''));
+    models.forEach((model) => {
+      const label = this.availableModels.length > 0 && !this.availableModels.includes(model)
+        ? `${model} (not loaded)`
+        : model;
+      modelSelect.appendChild(new Option(label, model));
+    });
+    
+    this.applyModelChoice();
+  }
+  
+  /**
+   * Key for remembering a model per tone/style combination
+   * @returns {string} Combination key
+   */
+  getModelChoiceKey() {
+    return `${DOM.get('toneSelect').value}|${DOM.get('styleSelect').value}`;
+  }
+  
+  /**
+   * Select the model remembered for the current tone/style
+   */
+  applyModelChoice() {
+    const choice = this.modelChoices[this.getModelChoiceKey()] || '';
+    DOM.get('modelSelect').value = choice;
+  }
+  
+  /**
+   * Remember the selected model for the current tone/style
+   */
+  rememberModelChoice() {
+    const key = this.getModelChoiceKey();
+    const model = DOM.get('modelSelect').value;
+    
+    if (model) {
+      this.modelChoices[key] = model;
+    } else {
+      delete this.modelChoices[key];
+    }
+  }
+  
+  /**
+   * Pick the model for a request, falling back when it isn't loaded
+   * @returns {{model: string, fallbackFrom: string|null}} Model to use and the unavailable one it replaces
+   */
+  resolveModel() {
+    const wanted = DOM.get('modelSelect').value || this.llmClient.settings.model;
+    
+    // Unknown availability (discovery failed): let the server decide
+    if (this.availableModels.length === 0 || this.availableModels.includes(wanted)) {
+      return { model: wanted, fallbackFrom: null };
+    }
+    
+    return { model: this.availableModels[0], fallbackFrom: wanted };
+  }
+  
+  /**
+   * Update character and word counts
+   */
+  updateCharCounts() {
+    const inputText = DOM.get('inputText').value;
+    const outputText = DOM.get('outputText').value;
+    
+    const inputWords = TextUtils.countWords(inputText);
+    const inputChars = TextUtils.countCharacters(inputText);
+    const outputWords = TextUtils.countWords(outputText);
+    const outputChars = TextUtils.countCharacters(outputText);
+    
+    DOM.get('inputCharCount').textContent = `${inputWords} words • ${inputChars} chars`;
+    DOM.get('outputCharCount').textContent = `${outputWords} words • ${outputChars} chars` +
+      (this.targetWords && outputText.trim() ? ` • ${LengthTarget.describe(outputText, this.targetWords)}` : '');
+    
+    const language = LanguageDetector.detect(inputText);
+    DOM.get('detectedLanguage').textContent = language
+      ? LanguageDetector.name(language)
+      : (inputText.trim() ? 'Not sure yet' : 'Not detected yet');
+  }
+  
+  /**
+   * Fill the operation, summary length, reading level and output length selects from CONFIG
+   * @param {Object} state - Saved popup state
+   */
+  renderOperationOptions(state) {
+    const keys = CONFIG.STORAGE_KEYS;
+    const fill = (select, entries, saved, fallback) => {
+      select.replaceChildren(...entries.map(([value, label]) => new Option(label, value)));
+      select.value = entries.some(([value]) => value === String(saved)) ? String(saved) : fallback;
+    };
+    
+    fill(DOM.get('operationSelect'), Object.entries(CONFIG.OPERATIONS).map(([id, { label }]) => [id, label]), state[keys.OPERATION], 'humanize');
+    fill(DOM.get('summaryLength'), Object.entries(CONFIG.SUMMARY_LENGTHS).map(([id, { label }]) => [id, label]), state[keys.SUMMARY_LENGTH], 'short');
+    fill(DOM.get('readingLevel'), Object.entries(CONFIG.READING_LEVELS), state[keys.READING_LEVEL], '8');
+    fill(DOM.get('lengthMode'), Object.entries(CONFIG.LENGTH_MODES).map(([id, { label }]) => [id, label]), state[keys.LENGTH_MODE], 'auto');
+    DOM.get('lengthValue').value = state[keys.LENGTH_VALUE] || '';
+    
+    this.updateOperationUI();
+  }
+  
+  /**
+   * The selected operation's CONFIG.OPERATIONS entry
+   * @returns {Object}
+   */
+  getOperation() {
+    return CONFIG.OPERATIONS[DOM.get('operationSelect').value] || CONFIG.OPERATIONS.humanize;
+  }
+  
+  /**
+   * Show the settings the selected operation and length mode use and name the run button after the operation
+   */
+  updateOperationUI() {
+    const operation = DOM.get('operationSelect').value;
+    DOM.get('summaryLengthGroup').hidden = operation !== 'summarize';
+    DOM.get('readingLevelGroup').hidden = operation !== 'simplify';
+    
+    // Grammar fixes keep the author's wording, so they have no length target
+    const lengthMode = DOM.get('lengthMode');
+    const { unit } = CONFIG.LENGTH_MODES[lengthMode.value] || {};
+    lengthMode.disabled = operation === 'grammar';
+    DOM.get('lengthValueGroup').hidden = !unit || lengthMode.disabled;
+    DOM.get('lengthValueLabel').textContent = unit === 'words' ? 'Target Words' : 'Percent of Original';
+    DOM.get('lengthValue').placeholder = unit === 'words' ? 'e.g. 150' : 'e.g. 60';
+    
+    if (!this.isProcessing) {
+      DOM.get('humaniseBtn').textContent = `${this.getOperation().button} (Ctrl+Enter)`;
+    }
+  }
+  
+  /**
+   * Fill the output language select from CONFIG.LANGUAGES
+   * @param {string} selected - Saved language code; empty keeps the input's language
+   */
+  renderLanguageOptions(selected) {
+    const select = DOM.get('targetLanguage');
+    select.replaceChildren(new Option('Same as input', ''));
+    
+    Object.entries(CONFIG.LANGUAGES).forEach(([code, name]) => {
+      select.appendChild(new Option(`Translate to ${name}`, code));
+    });
+    select.value = CONFIG.LANGUAGES[selected] ? selected : '';
+  }
+  
+  /**
+   * Render one checkbox per PII entity type
+   * @param {Object} saved - Saved map of type to enabled flag
+   */
+  renderPIITypes(saved) {
+    const container = DOM.get('piiTypes');
+    container.replaceChildren();
+    
+    Object.entries(CONFIG.PII.TYPES).forEach(([type, { label, enabled }]) => {
+      const row = document.createElement('label');
+      row.className = 'pii-type';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.piiType = type;
+      checkbox.checked = saved[type] !== undefined ? Boolean(saved[type]) : enabled;
+      
+      row.append(checkbox, document.createTextNode(label));
+      container.appendChild(row);
+    });
+  }
+  
+  /**
+   * Enabled state of each PII entity type
+   * @returns {Object} Map of type to enabled flag
+   */
+  getPIITypes() {
+    const types = {};
+    DOM.get('piiTypes').querySelectorAll('input[data-pii-type]').forEach((checkbox) => {
+      types[checkbox.dataset.piiType] = checkbox.checked;
+    });
+    return types;
+  }
+  
+  /**
+   * Recount PII shortly after typing stops
+   */
+  schedulePIISummary() {
+    clearTimeout(this.piiSummaryTimer);
+    this.piiSummaryTimer = setTimeout(() => this.updatePIISummary(), 300);
+  }
+  
+  /**
+   * Show what would be masked in the current input before it is sent
+   */
+  updatePIISummary() {
+    const summaryEl = DOM.get('piiSummary');
+    const inputText = DOM.get('inputText').value;
+    
+    if (!inputText.trim()) {
+      summaryEl.textContent = '';
+      return;
+    }
+    if (!DOM.get('maskBefore').checked) {
+      summaryEl.textContent = 'Masking is off: the text is sent as is.';
+      return;
+    }
+    
+    const entities = PIIDetector.detect(inputText, {
+      types: this.getPIITypes(),
+      names: this.piiNames,
+      alwaysMask: this.piiAlwaysMask
+    });
+    const summary = PIIDetector.describe(PIIDetector.count(entities));
+    summaryEl.textContent = summary ? `Will mask: ${summary}` : 'No PII found in the input.';
+  }
+  
+  /**
+   * Add a term to the persistent always-mask list
+   * @param {string} term - Text to always mask
+   */
+  async addAlwaysMaskTerm(term) {
+    try {
+      this.piiAlwaysMask = await this.stateManager.addAlwaysMaskTerm(term);
+      this.updatePIISummary();
+      this.showStatus(`"${term}" will always be masked`, 'success');
+    } catch (error) {
+      console.error('Error saving always-mask term:', error);
+      this.showStatus('Could not save the always-mask term', 'error');
+    }
+  }
+  
+  /**
+   * Show status message
+   */
+  showStatus(message, type = 'info') {
+    const statusEl = DOM.get('status');
+    statusEl.textContent = message;
+    statusEl.className = `status ${type}`;
+    statusEl.style.display = 'block';
+    
+    if (type === 'success') {
+      setTimeout(() => { statusEl.style.display = 'none'; }, 3000);
+    }
+  }
+  
+  /**
+   * Update UI processing state
+   */
+  updateUIProcessing(processing = true) {
+    const humaniseBtn = DOM.get('humaniseBtn');
+    humaniseBtn.disabled = processing;
+    humaniseBtn.textContent = processing ? 'Processing...' : `${this.getOperation().button} (Ctrl+Enter)`;
+    DOM.get('stopBtn').style.display = processing ? 'block' : 'none';
+    
+    if (processing) {
+      DOM.get('outputText').value = '';
+      this.factWarnings.clear();
+    }
+    
+    this.isProcessing = processing;
+  }
+  
+  /**
+   * Main humanize text function; runs the selected operation (humanize by default)
+   */
+  async humanizeText() {
+    if (this.isProcessing) return;
+    
+    const inputText = DOM.get('inputText').value;
+    
+    // Validate input
+    const validation = TextUtils.validateInput(inputText);
+    if (!validation.valid) {
+      this.showStatus(validation.error, 'error');
+      return;
+    }
+    
+    this.updateUIProcessing(true);
+    this.diffPanel.reset();
+    this.variantsPanel.hide();
+    this.lastRun = null;
+    this.targetWords = null;
+    this.showStatus('Processing your text...', 'info');
+    
+    try {
+      const perspective = DOM.get('perspectiveSelect').value;
+      const tone = DOM.get('toneSelect').value;
+      const style = DOM.get('styleSelect').value;
+      const { model, fallbackFrom } = this.resolveModel();
+      const maskBefore = DOM.get('maskBefore').checked;
+      const maskAfter = DOM.get('maskPII').checked;
+      const variants = Number(DOM.get('variantsSelect').value) || 1;
+      const preset = this.getActivePreset();
+      const piiTypes = this.getPIITypes();
+      const piiNames = this.piiNames;
+      const piiAlwaysMask = this.piiAlwaysMask;
+      const piiMode = DOM.get('pseudonymize').checked ? 'surrogate' : 'token';
+      const review = DOM.get('reviewPII').checked;
+      const preserveStructure = DOM.get('preserveStructure').checked;
+      const postProcess = DOM.get('postProcess').checked;
+      const rich = this.richInput?.plain === inputText ? this.richInput : null;
+      
+      const options = {
+        perspective, tone, style, model, maskBefore, maskAfter, variants,
+        preset, piiTypes, piiNames, piiAlwaysMask, piiMode, preserveStructure,
+        richText: rich ? rich.marks : null,
+        postProcess,
+        bannedWords: this.bannedWords,
+        preferredWords: this.preferredWords,
+        glossary: this.glossary,
+        targetLanguage: DOM.get('targetLanguage').value,
+        operation: DOM.get('operationSelect').value,
+        summaryLength: DOM.get('summaryLength').value,
+        readingLevel: Number(DOM.get('readingLevel').value),
+        length: { mode: DOM.get('lengthMode').value, value: Number(DOM.get('lengthValue').value) },
+        voice: this.getActiveVoice()
+      };
+      const outcome = await this.pipeline.run(
+        rich ? rich.text : inputText,
+        options,
+        {
+          onToken: (partial) => this.renderStreamingOutput(partial),
+          onProgress: (index, total, attempt) => this.showChunkProgress(index, total, attempt),
+          onVariant: (index, total) => {
+            if (total > 1) this.showStatus(`Generating variant ${index + 1} of ${total}...`, 'info');
+          },
+          onReview: review ? (text, entities) => {
+            this.showStatus('Check what will be masked, then press Send.', 'info');
+            return this.piiReviewPanel.review(text, entities);
+          } : null,
+          onMasked: (counts) => {
+            const summary = PIIDetector.describe(counts);
+            this.showStatus(summary ? `Masked ${summary}. Sending...` : 'No PII found. Sending...', 'info');
+          },
+          onRetry: (issues, attempt, maxAttempts) => {
+            this.showStatus(`Output rejected: ${QualityGate.describe(issues)}. Retrying (attempt ${attempt} of ${maxAttempts})...`, 'info');
+          }
+        }
+      );
+      
+      if (!outcome) {
+        this.showStatus('Cancelled. Nothing was sent.', 'info');
+        return;
+      }
+      
+      const { text: result, stopped, failedChunks } = outcome;
+      this.lastRun = { inputText, outcome, options };
+      this.targetWords = outcome.targetWords;
+      
+      // Display result
+      this.setOutput(result, outcome.html, this.factSource());
+      this.diffPanel.setSource(inputText, result);
+      
+      // With several candidates the user picks what goes to history
+      if (outcome.variants.length > 1) {
+        this.variantsPanel.show(outcome.variants);
+      } else {
+        await this.addToHistory(inputText, outcome, options);
+      }
+      
+      const restorationWarning = PIIMasker.describeRestoration(outcome.restoration);
+      const formattingWarning = RichText.describeLoss(outcome.formattingLost);
+      const qualityWarning = this.describeQuality(outcome.qualityIssues);
+      
+      if (outcome.variants.length > 1 && !stopped) {
+        this.showStatus(`Generated ${outcome.variants.length} variants. Pick one to use or save.`, 'success');
+      } else if (stopped) {
+        this.showStatus('Stopped. Partial output kept.', 'info');
+      } else if (restorationWarning) {
+        this.showStatus(restorationWarning, 'error');
+      } else if (formattingWarning) {
+        this.showStatus(formattingWarning, 'error');
+      } else if (qualityWarning) {
+        this.showStatus(qualityWarning, 'error');
+      } else if (failedChunks.length > 0) {
+        const parts = failedChunks.map(({ index }) => index + 1).join(', ');
+        this.showStatus(`Done, but part(s) ${parts} could not be rewritten and were left unchanged.`, 'error');
+      } else if (fallbackFrom) {
+        this.showStatus(`Done with "${model}" ("${fallbackFrom}" isn't loaded).`, 'info');
+      } else {
+        const edits = outcome.postEdits ? ` (${outcome.postEdits} post-processing fix${outcome.postEdits === 1 ? '' : 'es'})` : '';
+        this.showStatus(`${(CONFIG.OPERATIONS[options.operation] || CONFIG.OPERATIONS.humanize).done}${edits}`, 'success');
+      }
+      
+    } catch (error) {
+      console.error('Humanization error:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.updateUIProcessing(false);
+    }
+  }
+  
+  /**
+   * Record a finished run in history
+   * @param {string} inputText - Original input
+   * @param {Object} outcome - Result of HumanizePipeline.run()
+   * @param {Object} options - Options the run used
+   */
+  async addToHistory(inputText, outcome, options) {
+    if (!outcome.text) return;
+    
+    let input = inputText;
+    let output = outcome.text;
+    
+    // Store the tokenized texts so masked originals never reach history
+    if (DOM.get('historyRedactPII').checked) {
+      if (outcome.maskedInput !== null) {
+        const plain = (text) => (options.richText ? RichText.toPlain(text, options.richText) : text);
+        input = plain(outcome.maskedInput);
+        output = plain(outcome.maskedOutput);
+      } else {
+        // Same types, names and always-mask terms the run would have masked
+        const redactor = new PIIMasker();
+        const detection = { types: options.piiTypes, names: options.piiNames, alwaysMask: options.piiAlwaysMask };
+        input = redactor.mask(inputText, true, detection);
+        output = redactor.mask(outcome.text, true, detection);
+      }
+    }
+    
+    try {
+      await this.historyStore.add({
+        input,
+        output,
+        perspective: options.perspective,
+        tone: options.tone,
+        style: options.style,
+        model: options.model,
+        preset: options.preset?.name || '',
+        voice: options.voice?.profile.name || '',
+        operation: options.operation,
+        stopped: outcome.stopped
+      });
+      await this.historyPanel.refresh();
+    } catch (error) {
+      console.error('Error saving history:', error);
+    }
+  }
+  
+  /**
+   * Show a variant from the last run in the output
+   * @param {number} index - Variant index
+   */
+  promoteVariant(index) {
+    const variant = this.lastRun?.outcome.variants[index];
+    if (!variant) return;
+    
+    this.setOutput(variant.text, variant.html, this.factSource());
+    this.diffPanel.setSource(this.lastRun.inputText, variant.text);
+    this.variantsPanel.setActive(index);
+    
+    const warning = PIIMasker.describeRestoration(variant.restoration)
+      || RichText.describeLoss(variant.formattingLost)
+      || this.describeQuality(variant.qualityIssues);
+    if (warning) {
+      this.showStatus(warning, 'error');
+    }
+  }
+  
+  /**
+   * Text the last run's results are fact-checked against; PII left masked in
+   * the result is not a lost fact, and summaries drop facts on purpose
+   * @returns {string} Empty when the run's facts are not checked
+   */
+  factSource() {
+    const { inputText, outcome, options } = this.lastRun;
+    if (!(CONFIG.OPERATIONS[options.operation] || CONFIG.OPERATIONS.humanize).keepsFacts) return '';
+    return options.maskBefore && !options.maskAfter ? outcome.maskedInput : inputText;
+  }
+  
+  /**
+   * Save a variant from the last run to history
+   * @param {number} index - Variant index
+   */
+  async saveVariant(index) {
+    const variant = this.lastRun?.outcome.variants[index];
+    if (!variant) return;
+    
+    const { inputText, outcome, options } = this.lastRun;
+    await this.addToHistory(inputText, {
+      text: variant.text,
+      stopped: variant.stopped,
+      maskedInput: outcome.maskedInput,
+      maskedOutput: variant.maskedOutput
+    }, options);
+    
+    this.variantsPanel.markSaved(index);
+    this.showStatus(`Variant ${index + 1} saved to history`, 'success');
+  }
+  
+  /**
+   * Put a history entry's text and options back into the popup
+   * @param {Object} entry - History entry
+   */
+  restoreHistoryEntry(entry) {
+    DOM.get('inputText').value = entry.input;
+    this.lastRun = null;
+    this.targetWords = null;
+    this.setRichInput(null);
+    this.setOutput(entry.output);
+    this.diffPanel.setSource(entry.input, entry.output);
+    this.variantsPanel.hide();
+    // Entries from before operations existed were humanize runs
+    this.applyEntryOptions({ ...entry, operation: entry.operation || 'humanize' });
+    this.updateCharCounts();
+    this.updatePIISummary();
+    this.saveState();
+    this.showStatus('Restored from history', 'success');
+  }
+  
+  /**
+   * Run a history entry's input again with the current options
+   * @param {Object} entry - History entry
+   */
+  rerunHistoryEntry(entry) {
+    if (this.isProcessing) return;
+    
+    DOM.get('inputText').value = entry.input;
+    this.setRichInput(null);
+    this.updateCharCounts();
+    this.updatePIISummary();
+    this.saveState();
+    this.humanizeText();
+  }
+  
+  /**
+   * Apply operation/perspective/tone/style/model from a history entry or preset;
+   * the operation is left as it is when the entry has none (presets never do)
+   * @param {Object} entry - History entry or preset
+   */
+  applyEntryOptions(entry) {
+    const selects = {
+      operationSelect: entry.operation,
+      perspectiveSelect: entry.perspective,
+      toneSelect: entry.tone,
+      styleSelect: entry.style
+    };
+    
+    Object.entries(selects).forEach(([key, value]) => {
+      const select = DOM.get(key);
+      if (value && Array.from(select.options).some((option) => option.value === value)) {
+        select.value = value;
+      }
+    });
+    this.updateOperationUI();
+    
+    const modelSelect = DOM.get('modelSelect');
+    if (entry.model && Array.from(modelSelect.options).some((option) => option.value === entry.model)) {
+      modelSelect.value = entry.model;
+    } else {
+      this.applyModelChoice();
+    }
+  }
+  
+  /**
+   * Warning for quality problems that were still there after the last retry
+   * @param {Array} [issues] - QualityGate issues from the run
+   * @returns {string} Empty when there were none
+   */
+  describeQuality(issues) {
+    if (!issues?.length) return '';
+    return `Done, but the output still failed checks after ${CONFIG.QUALITY.MAX_RETRIES} retries: ${QualityGate.describe(issues)}.`;
+  }
+  
+  /**
+   * Show per-chunk progress for the long-document pipeline
+   * @param {number} index - Zero-based chunk index
+   * @param {number} total - Number of chunks
+   * @param {number} attempt - Zero-based attempt number
+   */
+  showChunkProgress(index, total, attempt) {
+    const message = attempt > 0
+      ? `Retrying part ${index + 1} of ${total} (attempt ${attempt + 1})...`
+      : `Rewriting part ${index + 1} of ${total}...`;
+    this.showStatus(message, 'info');
+  }
+  
+  /**
+   * Render in-progress output while a response streams in
+   * @param {string} text - Text generated so far
+   */
+  renderStreamingOutput(text) {
+    const outputText = DOM.get('outputText');
+    const atBottom = outputText.scrollTop + outputText.clientHeight >= outputText.scrollHeight - 4;
+    
+    outputText.value = text;
+    if (atBottom) {
+      outputText.scrollTop = outputText.scrollHeight;
+    }
+    this.updateCharCounts();
+  }
+  
+  /**
+   * Stop the in-flight generation, keeping partial output
+   */
+  stopGeneration() {
+    if (!this.isProcessing) return;
+    
+    if (this.piiReviewPanel.isOpen()) {
+      this.piiReviewPanel.finish(null);
+      return;
+    }
+    
+    if (this.llmClient.abort()) {
+      this.showStatus('Stopping...', 'info');
+    }
+  }
+  
+  /**
+   * Keep the formatting of pasted HTML as placeholders
+   * @param {ClipboardEvent} e - Paste event on the input
+   */
+  handlePaste(e) {
+    const html = e.clipboardData?.getData('text/html');
+    if (!html) return;
+    
+    const rich = RichText.fromHtml(html);
+    if (!rich.text || !RichText.hasFormatting(rich)) return;
+    
+    e.preventDefault();
+    const field = e.target;
+    const replacesAll = field.selectionStart === 0 && field.selectionEnd === field.value.length;
+    const plain = RichText.toPlain(rich.text, rich.marks);
+    
+    // execCommand keeps the undo stack and fires the input event
+    if (!document.execCommand('insertText', false, plain)) {
+      field.setRangeText(plain, field.selectionStart, field.selectionEnd, 'end');
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    // Formatting is only tracked when the paste makes up the whole input
+    this.setRichInput(replacesAll ? { ...rich, plain } : null);
+    this.saveState();
+  }
+  
+  /**
+   * Set or drop the formatting kept for the input
+   * @param {Object|null} rich - {text, marks, plain} from a paste, or null
+   */
+  setRichInput(rich) {
+    this.richInput = rich;
+    DOM.get('richBadge').hidden = !rich;
+  }
+  
+  /**
+   * Show a result in the output, remembering its HTML for copying
+   * @param {string} text - Plain text
+   * @param {string|null} [html] - HTML version, for rich-text input
+   * @param {string} [source] - Text the result was made from, for the fact check (default: the input)
+   */
+  setOutput(text, html = null, source = DOM.get('inputText').value) {
+    DOM.get('outputText').value = text;
+    this.richOutput = html ? { text, html } : null;
+    this.updateCharCounts();
+    this.analysisPanel.refresh();
+    this.factWarnings.check(source, text);
+  }
+  
+  /**
+   * Copy output to clipboard
+   */
+  async copyToClipboard() {
+    const outputText = DOM.get('outputText').value;
+    
+    if (!outputText) {
+      this.showStatus('Nothing to copy', 'error');
+      return;
+    }
+    
+    // Rich output is only used while the text is the one it was made for
+    const rich = this.richOutput?.text === outputText ? this.richOutput : null;
+    
+    try {
+      if (rich) {
+        await navigator.clipboard.write([new ClipboardItem({
+          'text/html': new Blob([rich.html], { type: 'text/html' }),
+          'text/plain': new Blob([outputText], { type: 'text/plain' })
+        })]);
+      } else {
+        await navigator.clipboard.writeText(outputText);
+      }
+      this.showStatus(rich ? 'Copied with formatting!' : 'Copied to clipboard!', 'success');
+    } catch (error) {
+      console.error('Copy error:', error);
+      this.showStatus('Failed to copy', 'error');
+    }
+  }
+  
+  /**
+   * Clear all text
+   */
+  clearAll() {
+    if (confirm('Clear all text and settings?')) {
+      DOM.get('inputText').value = '';
+      this.setRichInput(null);
+      this.setOutput('');
+      this.updatePIISummary();
+      this.piiMasker.reset();
+      this.diffPanel.reset();
+      this.variantsPanel.hide();
+      this.lastRun = null;
+      this.targetWords = null;
+      this.showStatus('Cleared', 'success');
+    }
+  }
+  
+  /**
+   * Toggle options panel
+   */
+  toggleOptions() {
+    const options = DOM.get('options');
+    const isHidden = options.style.display === 'none';
+    options.style.display = isHidden ? 'block' : 'none';
+  }
+  
+  /**
+   * Get current UI state
+   * @returns {Object} Current UI state
+   */
+  getUIState() {
+    return {
+      [CONFIG.STORAGE_KEYS.INPUT_TEXT]: DOM.get('inputText').value,
+      [CONFIG.STORAGE_KEYS.PERSPECTIVE]: DOM.get('perspectiveSelect').value,
+      [CONFIG.STORAGE_KEYS.TONE]: DOM.get('toneSelect').value,
+      [CONFIG.STORAGE_KEYS.STYLE]: DOM.get('styleSelect').value,
+      [CONFIG.STORAGE_KEYS.MASK_PII]: DOM.get('maskPII').checked,
+      [CONFIG.STORAGE_KEYS.MASK_BEFORE]: DOM.get('maskBefore').checked,
+      [CONFIG.STORAGE_KEYS.HISTORY_REDACT_PII]: DOM.get('historyRedactPII').checked,
+      [CONFIG.STORAGE_KEYS.REVIEW_PII]: DOM.get('reviewPII').checked,
+      [CONFIG.STORAGE_KEYS.PSEUDONYMIZE]: DOM.get('pseudonymize').checked,
+      [CONFIG.STORAGE_KEYS.VARIANTS]: DOM.get('variantsSelect').value,
+      [CONFIG.STORAGE_KEYS.TARGET_LANGUAGE]: DOM.get('targetLanguage').value,
+      [CONFIG.STORAGE_KEYS.OPERATION]: DOM.get('operationSelect').value,
+      [CONFIG.STORAGE_KEYS.SUMMARY_LENGTH]: DOM.get('summaryLength').value,
+      [CONFIG.STORAGE_KEYS.READING_LEVEL]: DOM.get('readingLevel').value,
+      [CONFIG.STORAGE_KEYS.LENGTH_MODE]: DOM.get('lengthMode').value,
+      [CONFIG.STORAGE_KEYS.LENGTH_VALUE]: DOM.get('lengthValue').value,
+      [CONFIG.STORAGE_KEYS.PRESERVE_STRUCTURE]: DOM.get('preserveStructure').checked,
+      [CONFIG.STORAGE_KEYS.POST_PROCESS]: DOM.get('postProcess').checked,
+      [CONFIG.STORAGE_KEYS.RICH_INPUT]: this.richInput,
+      [CONFIG.STORAGE_KEYS.ACTIVE_PRESET]: DOM.get('presetSelect').value,
+      [CONFIG.STORAGE_KEYS.ACTIVE_VOICE]: DOM.get('voiceSelect').value,
+      [CONFIG.STORAGE_KEYS.VOICE_MODE]: DOM.get('voiceMode').value,
+      [CONFIG.STORAGE_KEYS.PII_TYPES]: this.getPIITypes(),
+      [CONFIG.STORAGE_KEYS.MODEL_CHOICES]: this.modelChoices
+    };
+  }
+  
+  /**
+   * Save current state
+   */
+  async saveState() {
+    try {
+      const state = this.getUIState();
+      await this.stateManager.save(state);
+    } catch (error) {
+      console.error('Error saving state:', error);
+    }
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+let uiController;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  uiController = new UIController();
+  await uiController.init();
+});